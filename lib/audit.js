@@ -0,0 +1,241 @@
+// lib/audit.js - Audit trail of customer data changes
+//
+// Each entry records one changed field:
+//   { timestamp, shop, customer_id, actor: { type, id }, ip, route, field, old_value, new_value }
+// where actor.type is "customer" (the storefront), "admin" (an admin API key,
+// id = the key's name) or "system" (webhooks). Values are stored as strings.
+//
+// Stores implement async append(entries), query({ shop, customerId, from, to, limit }),
+// deleteCustomer(customerId) and purge(shop). FileAuditStore (JSON lines) is the
+// default; SqliteAuditStore needs the "better-sqlite3" package.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// Helper: does an entry match the query filters? from/to are Date objects or null
+function matches(entry, { shop, customerId, from, to }) {
+  if (shop && entry.shop !== shop) return false;
+  if (customerId && entry.customer_id !== customerId) return false;
+  const time = Date.parse(entry.timestamp);
+  if (from && time < from.getTime()) return false;
+  if (to && time > to.getTime()) return false;
+  return true;
+}
+
+class FileAuditStore {
+  constructor({ file }) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  // Helper: run fn after every earlier append and rewrite, so an append can't land
+  // between a rewrite's read and its rename (and be lost)
+  exclusive(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  append(entries) {
+    return this.exclusive(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    });
+  }
+
+  // Calls fn for every stored entry, in the order they were written
+  async each(fn) {
+    let input;
+    try {
+      input = fs.createReadStream(this.file);
+      await new Promise((resolve, reject) => input.once('open', resolve).once('error', reject));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (line.trim()) fn(JSON.parse(line));
+    }
+  }
+
+  // Newest entries first
+  async query({ shop, customerId, from, to, limit }) {
+    const found = [];
+    await this.each(entry => {
+      if (!matches(entry, { shop, customerId, from, to })) return;
+      found.push(entry);
+      // Only the newest `limit` entries are kept while scanning
+      if (found.length > limit) found.shift();
+    });
+    return found.reverse();
+  }
+
+  // Rewrite the file without the entries `remove` picks; returns how many were removed
+  rewrite(remove) {
+    return this.exclusive(async () => {
+      const kept = [];
+      let removed = 0;
+      await this.each(entry => {
+        if (remove(entry)) removed++;
+        else kept.push(JSON.stringify(entry) + '\n');
+      });
+      if (removed > 0) {
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, kept.join(''));
+        await fs.promises.rename(tmp, this.file);
+      }
+      return removed;
+    });
+  }
+
+  async deleteCustomer(customerId) {
+    return this.rewrite(entry => entry.customer_id === customerId);
+  }
+
+  async purge(shop) {
+    return this.rewrite(entry => entry.shop === shop);
+  }
+}
+
+class SqliteAuditStore {
+  constructor(db) {
+    this.db = db;
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        shop TEXT,
+        customer_id TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT,
+        ip TEXT,
+        route TEXT,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT
+      );
+      CREATE INDEX IF NOT EXISTS audit_log_customer_time ON audit_log (customer_id, timestamp);
+    `);
+    // Databases created before entries named their shop
+    if (!db.prepare('PRAGMA table_info(audit_log)').all().some(column => column.name === 'shop')) {
+      db.exec('ALTER TABLE audit_log ADD COLUMN shop TEXT');
+    }
+    this.insert = db.prepare(`
+      INSERT INTO audit_log (timestamp, shop, customer_id, actor_type, actor_id, ip, route, field, old_value, new_value)
+      VALUES (@timestamp, @shop, @customer_id, @actor_type, @actor_id, @ip, @route, @field, @old_value, @new_value)
+    `);
+  }
+
+  async append(entries) {
+    const insertAll = this.db.transaction(rows => rows.forEach(row => this.insert.run(row)));
+    insertAll(entries.map(({ actor, ...entry }) => ({ ...entry, actor_type: actor.type, actor_id: actor.id || null })));
+  }
+
+  async query({ shop, customerId, from, to, limit }) {
+    const where = [];
+    const params = { limit };
+    if (shop) {
+      where.push('shop = @shop');
+      params.shop = shop;
+    }
+    if (customerId) {
+      where.push('customer_id = @customerId');
+      params.customerId = customerId;
+    }
+    if (from) {
+      where.push('timestamp >= @from');
+      params.from = from.toISOString();
+    }
+    if (to) {
+      where.push('timestamp <= @to');
+      params.to = to.toISOString();
+    }
+    const rows = this.db.prepare(`
+      SELECT * FROM audit_log ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC LIMIT @limit
+    `).all(params);
+    return rows.map(({ id, actor_type, actor_id, ...entry }) => ({ ...entry, actor: { type: actor_type, id: actor_id } }));
+  }
+
+  async deleteCustomer(customerId) {
+    return this.db.prepare('DELETE FROM audit_log WHERE customer_id = ?').run(customerId).changes;
+  }
+
+  async purge(shop) {
+    return this.db.prepare('DELETE FROM audit_log WHERE shop = ?').run(shop).changes;
+  }
+}
+
+// Helper: audit values are strings (or null) whatever the field's type
+function auditValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function createAuditLog({ store }) {
+  // Record field changes; `changes` is a list of { field, old_value, new_value }.
+  // Unchanged fields are skipped. Context: { shop, customerId, actor, ip, route }.
+  async function record({ shop = null, customerId, actor, ip = null, route = null }, changes) {
+    const timestamp = new Date().toISOString();
+    const entries = changes
+      .map(change => ({ field: change.field, old_value: auditValue(change.old_value), new_value: auditValue(change.new_value) }))
+      .filter(change => change.old_value !== change.new_value)
+      .map(change => ({ timestamp, shop, customer_id: String(customerId), actor, ip, route, ...change }));
+    if (entries.length > 0) await store.append(entries);
+    return entries.length;
+  }
+
+  // Entries matching the filters, newest first. from/to are ISO dates or timestamps.
+  async function query({ shop, customerId, from, to, limit } = {}) {
+    return store.query({
+      shop: shop || null,
+      customerId: customerId ? String(customerId) : null,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      limit: Math.min(Number(limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT)
+    });
+  }
+
+  return {
+    record,
+    query,
+    deleteCustomer: customerId => store.deleteCustomer(String(customerId)),
+    // Delete a shop's entries (shop/redact); returns how many were removed
+    purge: shop => store.purge(shop)
+  };
+}
+
+// Build the audit log from environment variables:
+//   AUDIT_STORE         "file" (default) or "sqlite"
+//   AUDIT_DIR           directory for the default files below (default ./data/audit; use a
+//                       writable path such as /tmp/audit on read-only hosts)
+//   AUDIT_FILE          file store path (default <AUDIT_DIR>/audit.log)
+//   AUDIT_SQLITE_PATH   sqlite database (default <AUDIT_DIR>/audit.db); needs `npm install better-sqlite3`
+function createAuditLogFromEnv(env = process.env) {
+  const dir = env.AUDIT_DIR || path.join(process.cwd(), 'data', 'audit');
+
+  if (env.AUDIT_STORE === 'sqlite') {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (e) {
+      throw new Error('AUDIT_STORE=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+    const file = env.AUDIT_SQLITE_PATH || path.join(dir, 'audit.db');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    return createAuditLog({ store: new SqliteAuditStore(new Database(file)) });
+  }
+
+  return createAuditLog({ store: new FileAuditStore({ file: env.AUDIT_FILE || path.join(dir, 'audit.log') }) });
+}
+
+module.exports = {
+  FileAuditStore,
+  SqliteAuditStore,
+  createAuditLog,
+  createAuditLogFromEnv
+};
@@ -0,0 +1,284 @@
+// lib/auth.js - Verify which customer is calling the API
+//
+// Two kinds of proof are accepted from the storefront:
+//   1. Shopify App Proxy requests, signed with `signature` in the query string
+//      and carrying `logged_in_customer_id`.
+//   2. A customer session token (HS256 JWT signed with the app secret) sent as
+//      `Authorization: Bearer <token>`, whose `sub` is the customer GID.
+// The verified customer ID is exposed as `req.customerId`; routes must use it
+// instead of any `customer_id` sent by the client.
+//
+// Support tools authenticate with an admin API key (`X-Admin-Api-Key`), set in
+// ADMIN_API_KEYS as comma separated name:key pairs. An admin request to a
+// customer route names the customer with `customer_id`. `req.actor` records
+// who is calling: { type: 'customer' | 'admin', id }.
+//
+// Every request is for one shop (see requestedShop); server.js resolves it to
+// `req.shopDomain` before these middlewares run, and the signed shop in the app
+// proxy query or session token must match it.
+
+const crypto = require('crypto');
+
+const API_KEY = process.env.SHOPIFY_API_KEY;
+const API_SECRET = process.env.SHOPIFY_API_SECRET;
+const ADMIN_API_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS || '');
+
+// App proxy signatures older than this are rejected to limit replay
+const PROXY_MAX_AGE_SECONDS = Number(process.env.APP_PROXY_MAX_AGE_SECONDS || 300);
+// Allowed clock drift when checking token exp/nbf
+const CLOCK_SKEW_SECONDS = 10;
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Helper: "support:abc123,ops:def456" -> [{ name, key }]; a key without a name is called "admin"
+function parseAdminKeys(value) {
+  return value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf(':');
+    return separator > 0
+      ? { name: pair.slice(0, separator), key: pair.slice(separator + 1) }
+      : { name: 'admin', key: pair };
+  });
+}
+
+// Helper: constant-time comparison of two strings
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function base64UrlDecode(segment) {
+  const normalized = segment.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(normalized, 'base64');
+}
+
+// Helper: strip protocol and trailing slash from a shop URL/domain
+function normalizeShopDomain(value) {
+  return String(value || '').replace(/^https?:\/\//, '').replace(/\/$/, '').toLowerCase();
+}
+
+// Helper: "gid://shopify/Customer/123" or "123" -> "123"
+function customerIdFromValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parts = String(value).split('/');
+  const id = parts[parts.length - 1];
+  return /^\d+$/.test(id) ? id : null;
+}
+
+// Helper: payload of a JWT without checking its signature, or null if it can't be decoded
+function decodeTokenPayload(token) {
+  try {
+    return JSON.parse(base64UrlDecode(String(token).split('.')[1] || '').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// The shop a request says it is for (not yet verified): the app proxy's `shop`
+// parameter, the session token's `dest`, else the X-Shopify-Shop-Domain header
+// or a `shop` query parameter. requireCustomer checks the signed value later.
+function requestedShop(req) {
+  if (typeof req.query?.signature === 'string') return req.query.shop;
+
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (match) {
+    const payload = decodeTokenPayload(match[1].trim());
+    if (payload?.dest) return payload.dest;
+  }
+
+  return req.get('X-Shopify-Shop-Domain') || req.query?.shop;
+}
+
+// Verify a Shopify App Proxy request for expectedShop. Returns the logged in
+// customer ID, or null when the request does not carry a proxy signature at all.
+function verifyAppProxy(query, expectedShop) {
+  if (!query || typeof query.signature !== 'string') return null;
+
+  const { signature, ...params } = query;
+
+  // Shopify signs the sorted "key=value" pairs joined without separators,
+  // with repeated keys joined by commas.
+  const message = Object.keys(params)
+    .sort()
+    .map(key => {
+      const value = Array.isArray(params[key]) ? params[key].join(',') : params[key];
+      return `${key}=${value}`;
+    })
+    .join('');
+
+  const expected = crypto.createHmac('sha256', API_SECRET).update(message).digest('hex');
+  if (!safeEqual(expected, signature)) {
+    throw new AuthError(401, 'Invalid app proxy signature');
+  }
+
+  if (normalizeShopDomain(params.shop) !== normalizeShopDomain(expectedShop)) {
+    throw new AuthError(401, 'App proxy request is for a different shop');
+  }
+
+  const timestamp = Number(params.timestamp);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > PROXY_MAX_AGE_SECONDS) {
+    throw new AuthError(401, 'App proxy signature has expired');
+  }
+
+  const customerId = customerIdFromValue(params.logged_in_customer_id);
+  if (!customerId) {
+    throw new AuthError(401, 'Customer is not logged in');
+  }
+
+  return customerId;
+}
+
+// Verify a customer session token (HS256 JWT) for expectedShop. Returns the customer ID.
+function verifySessionToken(token, expectedShop) {
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    throw new AuthError(401, 'Malformed session token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (e) {
+    throw new AuthError(401, 'Malformed session token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new AuthError(401, 'Unsupported session token algorithm');
+  }
+
+  const expected = crypto
+    .createHmac('sha256', API_SECRET)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+  if (!safeEqual(expected, encodedSignature)) {
+    throw new AuthError(401, 'Invalid session token signature');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError(401, 'Session token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError(401, 'Session token is not valid yet');
+  }
+
+  if (API_KEY && payload.aud !== API_KEY) {
+    throw new AuthError(401, 'Session token was issued for a different app');
+  }
+
+  if (normalizeShopDomain(payload.dest) !== normalizeShopDomain(expectedShop)) {
+    throw new AuthError(401, 'Session token is for a different shop');
+  }
+
+  const customerId = customerIdFromValue(payload.sub);
+  if (!customerId) {
+    throw new AuthError(401, 'Session token does not identify a customer');
+  }
+
+  return customerId;
+}
+
+// Helper: resolve the verified customer ID from a request, or throw AuthError
+function authenticateRequest(req) {
+  const proxyCustomerId = verifyAppProxy(req.query, req.shopDomain);
+  if (proxyCustomerId) return proxyCustomerId;
+
+  const authHeader = req.get('Authorization') || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (match) return verifySessionToken(match[1].trim(), req.shopDomain);
+
+  throw new AuthError(401, 'Authentication required');
+}
+
+// Helper: name of the admin API key sent with the request, null when none was sent, or throw AuthError
+function authenticateAdmin(req) {
+  const provided = req.get('X-Admin-Api-Key');
+  if (!provided) return null;
+  // Every key is compared so the response time doesn't reveal which one nearly matched
+  const match = ADMIN_API_KEYS.filter(({ key }) => safeEqual(key, provided))[0];
+  if (!match) throw new AuthError(401, 'Invalid admin API key');
+  return match.name;
+}
+
+// Middleware: require an admin API key
+function requireAdmin(req, res, next) {
+  if (ADMIN_API_KEYS.length === 0) {
+    return res.status(500).json({ success: false, error: 'Admin API keys are not configured' });
+  }
+
+  try {
+    const name = authenticateAdmin(req);
+    if (!name) throw new AuthError(401, 'Admin API key required');
+    req.actor = { type: 'admin', id: name };
+    next();
+  } catch (err) {
+    if (!(err instanceof AuthError)) return next(err);
+    console.warn(`🔒 Rejected ${req.method} ${req.path}: ${err.message}`);
+    res.status(err.status).json({ success: false, error: err.message });
+  }
+}
+
+// Middleware: require a verified customer and reject mismatching customer_id claims.
+// An admin API key may act on any customer named by customer_id.
+function requireCustomer(req, res, next) {
+  const claimed = req.body?.customer_id ?? req.query?.customer_id;
+
+  if (req.get('X-Admin-Api-Key')) {
+    return requireAdmin(req, res, err => {
+      if (err) return next(err);
+      const customerId = customerIdFromValue(claimed);
+      if (!customerId) return res.status(400).json({ success: false, error: 'customer_id is required with an admin API key' });
+      req.customerId = customerId;
+      next();
+    });
+  }
+
+  if (!API_SECRET) {
+    console.error('❌ SHOPIFY_API_SECRET is not set; cannot verify customers');
+    return res.status(500).json({ success: false, error: 'Customer authentication is not configured' });
+  }
+
+  let customerId;
+  try {
+    customerId = authenticateRequest(req);
+  } catch (err) {
+    if (err instanceof AuthError) {
+      console.warn(`🔒 Rejected ${req.method} ${req.path}: ${err.message}`);
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    return next(err);
+  }
+
+  if (claimed !== undefined && claimed !== null && claimed !== '' && customerIdFromValue(claimed) !== customerId) {
+    console.warn(`🔒 Rejected ${req.method} ${req.path}: customer_id ${claimed} does not match authenticated customer ${customerId}`);
+    return res.status(403).json({ success: false, error: 'customer_id does not match the authenticated customer' });
+  }
+
+  req.customerId = customerId;
+  req.actor = { type: 'customer', id: customerId };
+  next();
+}
+
+module.exports = {
+  AuthError,
+  requireAdmin,
+  requireCustomer,
+  requestedShop,
+  verifyAppProxy,
+  verifySessionToken
+};
@@ -0,0 +1,94 @@
+// lib/avatar.js - Profile image processing
+//
+// When enabled, an uploaded avatar is rotated upright from its EXIF
+// orientation, center-cropped to a square, and re-encoded without any
+// metadata (EXIF, GPS, XMP, ICC), so the photo's location never reaches
+// Shopify. Smaller square variants are produced for thumbnails.
+//
+// Configuration:
+//   PROFILE_IMAGE_PROCESSING   "true" to enable; needs `npm install sharp`
+//   PROFILE_IMAGE_CROP         "square" (default) or "none" to keep the aspect ratio
+//   PROFILE_IMAGE_VARIANTS     variant sizes in pixels, comma separated (default 512,128)
+
+const { ImageError } = require('./images');
+
+const DEFAULT_VARIANT_SIZES = [512, 128];
+
+function parseSizes(value) {
+  const sizes = String(value).split(',').map(size => size.trim()).filter(Boolean).map(Number);
+  if (sizes.some(size => !Number.isInteger(size) || size < 16 || size > 4096)) {
+    throw new Error(`PROFILE_IMAGE_VARIANTS must be whole pixel sizes between 16 and 4096, got "${value}"`);
+  }
+  return [...new Set(sizes)].sort((a, b) => b - a);
+}
+
+// Build the processing options from environment variables (see header)
+function avatarOptionsFromEnv(env = process.env) {
+  const enabled = env.PROFILE_IMAGE_PROCESSING === 'true';
+  const crop = env.PROFILE_IMAGE_CROP || 'square';
+  if (!['square', 'none'].includes(crop)) throw new Error(`PROFILE_IMAGE_CROP must be "square" or "none", got "${crop}"`);
+
+  let sharp = null;
+  if (enabled) {
+    try {
+      sharp = require('sharp');
+    } catch (e) {
+      throw new Error('PROFILE_IMAGE_PROCESSING=true requires the "sharp" package (npm install sharp)');
+    }
+  }
+
+  return {
+    enabled,
+    crop,
+    sizes: env.PROFILE_IMAGE_VARIANTS ? parseSizes(env.PROFILE_IMAGE_VARIANTS) : DEFAULT_VARIANT_SIZES,
+    sharp
+  };
+}
+
+// Process an image buffer. `image` is what lib/images.js identified; the
+// output keeps its format. Returns { main, variants } where each entry is
+// { buffer, width, height } and variants also carry their `size`.
+async function processAvatar(buffer, image, { crop, sizes, sharp }) {
+  const limitInputPixels = image.width * image.height;
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels }).metadata();
+  } catch (e) {
+    throw new ImageError(400, 'corrupt_image', 'Image file is corrupt or incomplete');
+  }
+  // EXIF orientations 5-8 are rotated a quarter turn, so width and height swap
+  const quarterTurn = metadata.orientation >= 5;
+  const width = quarterTurn ? metadata.height : metadata.width;
+  const height = quarterTurn ? metadata.width : metadata.height;
+  const side = Math.min(width, height);
+
+  // rotate() with no angle applies the EXIF orientation; metadata is dropped on output
+  async function render(size) {
+    let pipeline = sharp(buffer, { limitInputPixels, failOn: 'error' }).rotate();
+    if (crop === 'square') {
+      const target = Math.min(size || side, side);
+      pipeline = pipeline.resize(target, target, { fit: 'cover', position: 'centre' });
+    } else if (size) {
+      pipeline = pipeline.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+    }
+    let result;
+    try {
+      result = await pipeline.toFormat(image.format).toBuffer({ resolveWithObject: true });
+    } catch (e) {
+      throw new ImageError(400, 'corrupt_image', 'Image file is corrupt or incomplete');
+    }
+    return { buffer: result.data, width: result.info.width, height: result.info.height };
+  }
+
+  const main = await render(null);
+  const variants = [];
+  for (const size of sizes) {
+    variants.push({ size, ...(await render(size)) });
+  }
+  return { main, variants };
+}
+
+module.exports = {
+  avatarOptionsFromEnv,
+  processAvatar
+};
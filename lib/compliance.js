@@ -0,0 +1,54 @@
+// lib/compliance.js - Records for Shopify's mandatory privacy webhooks
+//
+// Every customers/data_request, customers/redact and shop/redact we process
+// is appended to compliance.log (one JSON object per line), and data request
+// exports are written next to it so the merchant can be sent the file.
+// COMPLIANCE_DIR sets the directory (default ./data/compliance; use a
+// writable path such as /tmp/compliance on read-only hosts).
+
+const fs = require('fs');
+const path = require('path');
+
+function safeName(value) {
+  return String(value).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+function createComplianceStore({ dir = process.env.COMPLIANCE_DIR || path.join(process.cwd(), 'data', 'compliance') } = {}) {
+  const exportsDir = path.join(dir, 'exports');
+
+  async function ensureDirs() {
+    await fs.promises.mkdir(exportsDir, { recursive: true });
+  }
+
+  // Append one entry to the compliance log
+  async function record(entry) {
+    await ensureDirs();
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    await fs.promises.appendFile(path.join(dir, 'compliance.log'), line + '\n');
+  }
+
+  // Write a data request export and return its path
+  async function saveExport(shop, requestId, data) {
+    await ensureDirs();
+    const file = path.join(exportsDir, `${safeName(shop)}__${safeName(requestId)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(data, null, 2));
+    return file;
+  }
+
+  // Delete every export held for a shop; returns how many were removed
+  async function purgeShop(shop) {
+    await ensureDirs();
+    const prefix = `${safeName(shop)}__`;
+    const files = (await fs.promises.readdir(exportsDir)).filter(name => name.startsWith(prefix));
+    for (const name of files) {
+      await fs.promises.unlink(path.join(exportsDir, name));
+    }
+    return files.length;
+  }
+
+  return { record, saveExport, purgeShop, dir };
+}
+
+module.exports = {
+  createComplianceStore
+};
@@ -0,0 +1,212 @@
+// lib/guestWishlists.js - Wishlists for shoppers who aren't logged in
+//
+// A guest wishlist is a single list of items (the same item shape as
+// custom.wishlist, see lib/wishlists.js) stored app-side under a random token
+// the server issues. The storefront keeps the token (e.g. in localStorage) and
+// sends it back; when the shopper logs in the list is merged into their
+// custom.wishlist and discarded. Files are named after the token's SHA-256,
+// so the data directory doesn't contain usable tokens.
+//
+// Guest lists expire GUEST_WISHLIST_TTL_DAYS (default 30) after their last change.
+// GUEST_WISHLIST_DIR sets the directory (default ./data/guest-wishlists; use a
+// writable path such as /tmp/guest-wishlists on read-only hosts); each shop has
+// its own subdirectory, so a token only works on the shop that issued it.
+//
+// Anyone can start a guest list, so each shop holds at most GUEST_WISHLIST_MAX_LISTS
+// (default 10000) and one client IP can start GUEST_WISHLISTS_PER_IP_PER_HOUR (default 10)
+// an hour. The per-IP count is kept in memory, per server instance.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_PREFIX = 'g1.';
+const TOKEN_PATTERN = /^g1\.[A-Za-z0-9_-]{43}$/;
+const MAX_GUEST_ITEMS = 100;
+// Stored size (JSON characters) of one item; product data comes from unauthenticated clients
+const MAX_GUEST_ITEM_LENGTH = 2048;
+const DEFAULT_TTL_DAYS = 30;
+const DEFAULT_MAX_LISTS = 10000;
+const DEFAULT_LISTS_PER_IP_PER_HOUR = 10;
+const HOUR_MS = 60 * 60 * 1000;
+// Expired files are swept at most this often, on the next save
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+function createGuestToken() {
+  // 32 random bytes, base64url without padding (Buffer's 'base64url' needs Node 15.7+)
+  const random = crypto.randomBytes(32).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return TOKEN_PREFIX + random;
+}
+
+function isGuestToken(value) {
+  return typeof value === 'string' && TOKEN_PATTERN.test(value);
+}
+
+function createGuestWishlistStore({ dir, ttlDays = DEFAULT_TTL_DAYS, maxLists = DEFAULT_MAX_LISTS, listsPerIpPerHour = DEFAULT_LISTS_PER_IP_PER_HOUR }) {
+  const ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+  let lastPurge = 0;
+  // Per-token queues, so changes to one list run one at a time
+  const queues = new Map();
+  // New lists started per client IP in the current hour: ip -> { count, resetAt }
+  const newListsByIp = new Map();
+  let lastIpSweep = Date.now();
+
+  const fileFor = token => path.join(dir, `${crypto.createHash('sha256').update(token).digest('hex')}.json`);
+  const isExpired = stored => Date.parse(stored.updated_at) + ttlMs < Date.now();
+
+  // { items, created_at, updated_at } or null when there's no (unexpired) list for the token
+  async function load(token) {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.promises.readFile(fileFor(token), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    if (isExpired(stored)) {
+      await remove(token);
+      return null;
+    }
+    return stored;
+  }
+
+  async function save(token, items) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const existing = await load(token);
+    const now = new Date().toISOString();
+    const stored = { items, created_at: existing?.created_at || now, updated_at: now };
+    await fs.promises.writeFile(fileFor(token), JSON.stringify(stored));
+
+    if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+      lastPurge = Date.now();
+      purgeExpired().catch(err => console.error('❌ Failed to purge expired guest wishlists:', err.message));
+    }
+    return stored;
+  }
+
+  // Helper: run fn after every earlier queued change for the token
+  function serialize(token, fn) {
+    const run = (queues.get(token) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    queues.set(token, settled);
+    settled.then(() => {
+      if (queues.get(token) === settled) queues.delete(token);
+    });
+    return run;
+  }
+
+  // Read-modify-write a list without losing concurrent changes (two tabs adding at once).
+  // change(items) edits the stored items in place (an empty array for a new list) and returns
+  // false to leave the file untouched. Resolves to the items, or null when the token has no
+  // list and create is false.
+  function update(token, change, { create = false } = {}) {
+    return serialize(token, async () => {
+      const stored = await load(token);
+      if (!stored && !create) return null;
+      const items = stored ? stored.items : [];
+      if ((await change(items)) === false) return items;
+      await save(token, items);
+      return items;
+    });
+  }
+
+  async function remove(token) {
+    await fs.promises.rm(fileFor(token), { force: true });
+  }
+
+  // Helper: names of the stored list files
+  async function listFiles() {
+    try {
+      return (await fs.promises.readdir(dir)).filter(n => n.endsWith('.json'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  // Does the shop already hold GUEST_WISHLIST_MAX_LISTS lists? (expired ones count until purged)
+  async function isFull() {
+    return (await listFiles()).length >= maxLists;
+  }
+
+  // Count a new list against the client IP's hourly allowance; false when it's used up
+  function allowNewList(ip) {
+    const now = Date.now();
+    // Forget finished hours now and then, so the map doesn't keep every address seen
+    if (now - lastIpSweep > HOUR_MS) {
+      lastIpSweep = now;
+      for (const [key, window] of newListsByIp) {
+        if (window.resetAt <= now) newListsByIp.delete(key);
+      }
+    }
+    let window = newListsByIp.get(ip);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + HOUR_MS };
+      newListsByIp.set(ip, window);
+    }
+    if (window.count >= listsPerIpPerHour) return false;
+    window.count++;
+    return true;
+  }
+
+  // Delete every expired guest list; returns how many were removed
+  async function purgeExpired() {
+    let removed = 0;
+    for (const name of await listFiles()) {
+      const file = path.join(dir, name);
+      try {
+        if (isExpired(JSON.parse(await fs.promises.readFile(file, 'utf8')))) {
+          await fs.promises.rm(file, { force: true });
+          removed++;
+        }
+      } catch (e) {
+        console.warn(`⚠️ Skipping unreadable guest wishlist ${name}`);
+      }
+    }
+    return removed;
+  }
+
+  // Delete every guest list (shop/redact); returns how many were removed
+  async function purge() {
+    const files = await listFiles();
+    for (const name of files) {
+      await fs.promises.rm(path.join(dir, name), { force: true });
+    }
+    return files.length;
+  }
+
+  return { load, save, update, remove, isFull, allowNewList, purgeExpired, purge, dir };
+}
+
+// Helper: a positive number from the environment, or fallback when unset
+function positiveNumberFromEnv(env, name, fallback) {
+  if (env[name] === undefined) return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value <= 0) throw new Error(`${name} must be a positive number, got "${env[name]}"`);
+  return value;
+}
+
+// Build the per-shop stores from environment variables (see header); returns forShop(shop) -> store
+function createGuestWishlistStoresFromEnv(env = process.env) {
+  const options = {
+    ttlDays: positiveNumberFromEnv(env, 'GUEST_WISHLIST_TTL_DAYS', DEFAULT_TTL_DAYS),
+    maxLists: positiveNumberFromEnv(env, 'GUEST_WISHLIST_MAX_LISTS', DEFAULT_MAX_LISTS),
+    listsPerIpPerHour: positiveNumberFromEnv(env, 'GUEST_WISHLISTS_PER_IP_PER_HOUR', DEFAULT_LISTS_PER_IP_PER_HOUR)
+  };
+  const dir = env.GUEST_WISHLIST_DIR || path.join(process.cwd(), 'data', 'guest-wishlists');
+  const stores = new Map();
+
+  return function forShop(shop) {
+    if (!stores.has(shop)) stores.set(shop, createGuestWishlistStore({ dir: path.join(dir, shop), ...options }));
+    return stores.get(shop);
+  };
+}
+
+module.exports = {
+  MAX_GUEST_ITEMS,
+  MAX_GUEST_ITEM_LENGTH,
+  createGuestToken,
+  createGuestWishlistStore,
+  createGuestWishlistStoresFromEnv,
+  isGuestToken
+};
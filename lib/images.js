@@ -0,0 +1,268 @@
+// lib/images.js - Profile image checks
+//
+// The image type is taken from the file's magic bytes, never from the data
+// URL prefix or filename the browser sent. Dimensions are read from the
+// format header, and a payload whose header can't be parsed (or that is cut
+// short) is rejected as corrupt.
+//
+// validateImage() checks a complete buffer (base64 uploads). For multipart
+// uploads, createImageInspector() returns a pass-through stream making the
+// same checks as the bytes go by: type and dimensions are known once the
+// header has arrived, size and truncation are enforced up to the last byte.
+//
+// Configuration:
+//   PROFILE_IMAGE_FORMATS      allowed formats, comma separated (default jpeg,png,webp,gif)
+//   PROFILE_IMAGE_MAX_BYTES    maximum file size (default 5 MB)
+//   PROFILE_IMAGE_MAX_PIXELS   maximum width or height in pixels (default 4096)
+
+const { Transform } = require('stream');
+
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  gif: { mimeType: 'image/gif', extension: 'gif' }
+};
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_PIXELS = 4096;
+// How much of a stream to buffer while looking for the header (JPEG metadata comes first)
+const MAX_HEADER_BYTES = 256 * 1024;
+const TAIL_BYTES = 16;
+
+class ImageError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ImageError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Helper: does the buffer hold `bytes` (a string or array) at `offset`?
+function startsWith(buffer, bytes, offset = 0) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return offset >= 0 && buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+function detectFormat(buffer) {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a')) return 'gif';
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8)) return 'webp';
+  return null;
+}
+
+// Each reader gets the start of the file and returns { width, height }, null
+// when the header is malformed, or undefined when it needs more bytes
+
+function readPngSize(head) {
+  if (head.length < 24) return undefined;
+  if (!startsWith(head, 'IHDR', 12)) return null;
+  return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+}
+
+function readGifSize(head) {
+  // Logical screen descriptor follows the signature
+  if (head.length < 10) return undefined;
+  return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+}
+
+function readWebpSize(head) {
+  if (head.length < 30) return undefined;
+  if (startsWith(head, 'VP8 ', 12)) {
+    // Lossy: keyframe start code, then 14-bit width/height
+    if (!startsWith(head, [0x9d, 0x01, 0x2a], 23)) return null;
+    return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+  }
+  if (startsWith(head, 'VP8L', 12)) {
+    // Lossless: signature byte, then 14-bit width-1 and height-1
+    if (head[20] !== 0x2f) return null;
+    const bits = head.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (startsWith(head, 'VP8X', 12)) {
+    // Extended: 24-bit canvas width-1 and height-1
+    return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function readJpegSize(head) {
+  let offset = 2;
+  while (offset + 9 <= head.length) {
+    if (head[offset] !== 0xff) return null;
+    const marker = head[offset + 1];
+    // Padding bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Start of scan or end of image before any frame header
+    if (marker === 0xda || marker === 0xd9) return null;
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: head.readUInt16BE(offset + 7), height: head.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + head.readUInt16BE(offset + 2);
+  }
+  return undefined;
+}
+
+const SIZE_READERS = { jpeg: readJpegSize, png: readPngSize, gif: readGifSize, webp: readWebpSize };
+
+// A truncated upload still has a valid header, so check how the file ends:
+// JPEG closes with an FF D9 (EOI) marker, possibly followed by zero or FF
+// padding, PNG with an IEND chunk (type + CRC), GIF with a 0x3B trailer, and
+// a WebP file is as long as its RIFF header says
+function isComplete(format, head, tail, totalLength) {
+  if (format === 'jpeg') {
+    let end = tail.length;
+    while (end > 0 && (tail[end - 1] === 0x00 || tail[end - 1] === 0xff)) end--;
+    return end >= 2 && tail[end - 2] === 0xff && tail[end - 1] === 0xd9;
+  }
+  if (format === 'png') return startsWith(tail, 'IEND', tail.length - 8);
+  if (format === 'gif') return tail[tail.length - 1] === 0x3b;
+  if (format === 'webp') return head.readUInt32LE(4) + 8 <= totalLength;
+  return false;
+}
+
+function corruptImage() {
+  return new ImageError(400, 'corrupt_image', 'Image file is corrupt or incomplete');
+}
+
+function tooLarge(maxBytes) {
+  return new ImageError(413, 'too_large', `Image must be at most ${Math.floor(maxBytes / 1024)} KB`);
+}
+
+// Identify an image from the start of the file and check it against the
+// limits. Returns { format, mimeType, extension, width, height }, or null
+// while more bytes are needed (never when `final` is set).
+function identifyImage(head, { formats, maxPixels }, final) {
+  const format = detectFormat(head);
+  if (!format) {
+    if (!final && head.length < 12) return null;
+    throw new ImageError(415, 'unsupported_type', `File is not a supported image (allowed: ${formats.join(', ')})`);
+  }
+  if (!formats.includes(format)) {
+    throw new ImageError(415, 'unsupported_type', `${format.toUpperCase()} images are not allowed (allowed: ${formats.join(', ')})`);
+  }
+  const size = SIZE_READERS[format](head);
+  if (size === undefined && !final && head.length < MAX_HEADER_BYTES) return null;
+  if (!size || size.width === 0 || size.height === 0) throw corruptImage();
+  if (size.width > maxPixels || size.height > maxPixels) {
+    throw new ImageError(400, 'dimensions_too_large', `Image must be at most ${maxPixels}x${maxPixels} pixels (got ${size.width}x${size.height})`);
+  }
+  return { format, ...FORMATS[format], width: size.width, height: size.height };
+}
+
+function parseFormats(value) {
+  const formats = String(value)
+    .split(',')
+    .map(format => format.trim().toLowerCase())
+    .map(format => (format === 'jpg' ? 'jpeg' : format))
+    .filter(Boolean);
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) throw new Error(`Unsupported profile image format(s): ${unknown.join(', ')}`);
+  return formats;
+}
+
+// Build the upload limits from environment variables (see header)
+function imageOptionsFromEnv(env = process.env) {
+  return {
+    formats: parseFormats(env.PROFILE_IMAGE_FORMATS || Object.keys(FORMATS).join(',')),
+    maxBytes: Number(env.PROFILE_IMAGE_MAX_BYTES || DEFAULT_MAX_BYTES),
+    maxPixels: Number(env.PROFILE_IMAGE_MAX_PIXELS || DEFAULT_MAX_PIXELS)
+  };
+}
+
+// Decode a base64 payload, with or without a data URL prefix
+function decodeBase64Image(input) {
+  if (typeof input !== 'string') throw new ImageError(400, 'invalid_encoding', 'Image must be a base64 string or data URL');
+  const base64 = input.replace(/^data:[^;,]*;base64,/, '').replace(/\s/g, '');
+  if (base64.length === 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw new ImageError(400, 'invalid_encoding', 'Image is not valid base64');
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+// Check a complete image buffer against the limits and return what identifyImage found
+function validateImage(buffer, options) {
+  if (buffer.length > options.maxBytes) throw tooLarge(options.maxBytes);
+  const info = identifyImage(buffer, options, true);
+  if (!isComplete(info.format, buffer, buffer.subarray(-TAIL_BYTES), buffer.length)) throw corruptImage();
+  return info;
+}
+
+// Pass-through stream that validates an image while it is read. `identified`
+// resolves with the image info as soon as the header has been seen; the start
+// of the file is held back until then. Any failure destroys the stream with an
+// ImageError, which is also kept on `error`.
+class ImageInspector extends Transform {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.head = Buffer.alloc(0);
+    this.tail = Buffer.alloc(0);
+    this.totalLength = 0;
+    this.info = null;
+    this.error = null;
+    this.identified = new Promise((resolve, reject) => {
+      this.resolveIdentified = resolve;
+      this.rejectIdentified = reject;
+    });
+    // The stream's own 'error' event reports failures too
+    this.identified.catch(() => {});
+  }
+
+  fail(err, callback) {
+    this.error = err;
+    this.rejectIdentified(err);
+    callback(err);
+  }
+
+  // Returns the buffered start of the file once it has been identified
+  identify(final) {
+    const info = identifyImage(this.head, this.options, final);
+    if (!info) return null;
+    this.info = info;
+    this.resolveIdentified(info);
+    return this.head;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.totalLength += chunk.length;
+    if (this.totalLength > this.options.maxBytes) return this.fail(tooLarge(this.options.maxBytes), callback);
+    this.tail = Buffer.concat([this.tail, chunk]).subarray(-TAIL_BYTES);
+    if (this.info) return callback(null, chunk);
+
+    this.head = Buffer.concat([this.head, chunk]);
+    try {
+      callback(null, this.identify(false) || undefined);
+    } catch (err) {
+      this.fail(err, callback);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (!this.info) this.push(this.identify(true));
+      if (!isComplete(this.info.format, this.head, this.tail, this.totalLength)) throw corruptImage();
+      callback();
+    } catch (err) {
+      this.fail(err, callback);
+    }
+  }
+}
+
+function createImageInspector(options) {
+  return new ImageInspector(options);
+}
+
+module.exports = {
+  ImageError,
+  createImageInspector,
+  decodeBase64Image,
+  imageOptionsFromEnv,
+  validateImage
+};
@@ -0,0 +1,141 @@
+// lib/oauth.js - Shopify OAuth install flow
+//
+//   GET /auth?shop=<shop>.myshopify.com
+//       sends the merchant to Shopify's grant screen with a random `state`,
+//       which is also kept in a short-lived cookie
+//   GET /auth/callback
+//       checks the query HMAC, the state cookie and the shop domain, exchanges
+//       the code for an offline access token, saves the shop in the registry
+//       (lib/shops.js) and calls onInstall(record) to finish setting it up
+//
+// Configuration:
+//   SHOPIFY_API_KEY, SHOPIFY_API_SECRET   the app's client credentials
+//   SHOPIFY_SCOPES                        comma separated access scopes to request
+//   APP_URL                               public base URL of this server, e.g. https://wishlist.example.com
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { createShopifyClient } = require('./shopify');
+const { fetchStorefrontUrl, parseShopDomain } = require('./shops');
+
+const STATE_COOKIE = 'shopify_oauth_state';
+const STATE_MAX_AGE_SECONDS = 600;
+// What the profile, wishlist, cart, report and alert features use (write scopes include read)
+const DEFAULT_SCOPES = 'write_customers,read_products,write_draft_orders,write_files';
+// Shopify signs the callback with a timestamp; older callbacks are rejected to limit replay
+const CALLBACK_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Helper: constant-time comparison of two strings
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Helper: value of one cookie from the Cookie header
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) return decodeURIComponent(part.slice(separator + 1).trim());
+  }
+  return null;
+}
+
+// Check the hex HMAC-SHA256 Shopify adds to OAuth redirects: every other query
+// parameter, sorted, as "key=value" pairs joined with "&"
+function verifyOAuthHmac(query, secret) {
+  const { hmac, signature, ...params } = query || {};
+  if (typeof hmac !== 'string' || !secret) return false;
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  return safeEqual(crypto.createHmac('sha256', secret).update(message).digest('hex'), hmac);
+}
+
+function createOAuth({ apiKey, apiSecret, scopes = DEFAULT_SCOPES, appUrl, apiVersion, registry, onInstall = async () => {} }) {
+  const router = express.Router();
+  const redirectUri = `${String(appUrl).replace(/\/+$/, '')}/auth/callback`;
+
+  router.get('/auth', (req, res) => {
+    const shop = parseShopDomain(req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ success: false, error: 'shop must be a <shop>.myshopify.com domain' });
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    res.cookie(STATE_COOKIE, state, { httpOnly: true, secure: true, sameSite: 'lax', maxAge: STATE_MAX_AGE_SECONDS * 1000, path: '/auth' });
+
+    const params = new URLSearchParams({ client_id: apiKey, scope: scopes, redirect_uri: redirectUri, state });
+    res.redirect(`https://${shop}/admin/oauth/authorize?${params}`);
+  });
+
+  router.get('/auth/callback', async (req, res) => {
+    const { code, state, timestamp } = req.query;
+    const shop = parseShopDomain(req.query.shop);
+
+    if (!shop || typeof code !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing shop or code' });
+    }
+    if (!verifyOAuthHmac(req.query, apiSecret)) {
+      console.warn(`🔒 Rejected OAuth callback for ${shop}: invalid HMAC`);
+      return res.status(401).json({ success: false, error: 'Invalid OAuth signature' });
+    }
+    if (!Number(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > CALLBACK_MAX_AGE_SECONDS) {
+      return res.status(401).json({ success: false, error: 'OAuth callback has expired' });
+    }
+    const expectedState = readCookie(req, STATE_COOKIE);
+    if (!expectedState || typeof state !== 'string' || !safeEqual(expectedState, state)) {
+      console.warn(`🔒 Rejected OAuth callback for ${shop}: state does not match`);
+      return res.status(403).json({ success: false, error: 'OAuth state does not match; start the install again' });
+    }
+    res.clearCookie(STATE_COOKIE, { path: '/auth' });
+
+    try {
+      const { data } = await axios.post(`https://${shop}/admin/oauth/access_token`, {
+        client_id: apiKey,
+        client_secret: apiSecret,
+        code
+      });
+
+      const record = {
+        shop,
+        access_token: data.access_token,
+        scope: data.scope,
+        storefront_url: await fetchStorefrontUrl(createShopifyClient({ shop, accessToken: data.access_token, apiVersion }), shop),
+        installed_at: new Date().toISOString()
+      };
+      await registry.install(record);
+      await onInstall(record);
+
+      console.log(`🏪 Installed on ${shop} (scopes: ${data.scope})`);
+      res.redirect(`https://${shop}/admin/apps/${apiKey}`);
+    } catch (err) {
+      console.error(`❌ OAuth install for ${shop} failed:`, err.response?.data || err.errors || err.message);
+      res.status(502).json({ success: false, error: 'Could not complete the install with Shopify' });
+    }
+  });
+
+  return { router, redirectUri };
+}
+
+// Build the OAuth routes from environment variables (see header); null when they aren't configured
+function createOAuthFromEnv(env = process.env, { registry, onInstall } = {}) {
+  if (!env.SHOPIFY_API_KEY || !env.SHOPIFY_API_SECRET || !env.APP_URL) return null;
+  return createOAuth({
+    apiKey: env.SHOPIFY_API_KEY,
+    apiSecret: env.SHOPIFY_API_SECRET,
+    scopes: env.SHOPIFY_SCOPES || DEFAULT_SCOPES,
+    appUrl: env.APP_URL,
+    apiVersion: env.API_VERSION || '2024-10',
+    registry,
+    onInstall
+  });
+}
+
+module.exports = {
+  createOAuth,
+  createOAuthFromEnv,
+  verifyOAuthHmac
+};
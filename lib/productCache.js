@@ -0,0 +1,167 @@
+// lib/productCache.js - Cache for the product title/handle/image lookups
+//
+// Entries are keyed by product id and by handle, expire after a TTL and are
+// dropped explicitly when Shopify tells us a product changed (products/update,
+// products/delete). A cached null means "this product no longer exists".
+//
+// Backends implement async get(key) / set(key, value, ttlSeconds) / del(key),
+// where get resolves to undefined on a miss. The memory backend is the
+// default; RedisCacheBackend wraps any ioredis-compatible client.
+// With several shops, `scope()` returns the shop the current call is for and
+// prefixes every key, so shops sharing a backend never see each other's products.
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_ENTRIES = 5000;
+
+class MemoryCacheBackend {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert so the Map's insertion order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+}
+
+class RedisCacheBackend {
+  constructor(client, { prefix = 'product-cache:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+  }
+
+  async del(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+function createProductCache({ backend = new MemoryCacheBackend(), ttlSeconds = DEFAULT_TTL_SECONDS, scope = () => null } = {}) {
+  const stats = { hits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0 };
+  const scoped = key => (scope() ? `${scope()}:${key}` : key);
+  const idKey = id => scoped(`id:${id}`);
+  const handleKey = handle => scoped(`handle:${handle}`);
+
+  // Cache failures must never break a request; they just count as misses
+  async function safeGet(key) {
+    try {
+      return await backend.get(key);
+    } catch (e) {
+      stats.errors++;
+      console.error('❌ Product cache read failed:', e.message);
+      return undefined;
+    }
+  }
+
+  async function safeCall(fn) {
+    try {
+      await fn();
+    } catch (e) {
+      stats.errors++;
+      console.error('❌ Product cache write failed:', e.message);
+    }
+  }
+
+  async function get(key) {
+    const value = await safeGet(key);
+    if (value === undefined) stats.misses++;
+    else stats.hits++;
+    return value;
+  }
+
+  // Store a product under its id and handle; pass null to remember a deleted id
+  async function put(id, product) {
+    stats.sets++;
+    await safeCall(async () => {
+      await backend.set(idKey(id), product, ttlSeconds);
+      if (product && product.handle) await backend.set(handleKey(product.handle), product, ttlSeconds);
+    });
+  }
+
+  // Drop everything cached for a product, including the handle it was cached under before
+  async function invalidate({ id, handle } = {}) {
+    stats.invalidations++;
+    await safeCall(async () => {
+      if (id !== undefined && id !== null) {
+        const previous = await backend.get(idKey(id));
+        if (previous && previous.handle && previous.handle !== handle) await backend.del(handleKey(previous.handle));
+        await backend.del(idKey(id));
+      }
+      if (handle) await backend.del(handleKey(handle));
+    });
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return { ...stats, hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null, ttlSeconds };
+  }
+
+  return {
+    getById: id => get(idKey(id)),
+    getByHandle: handle => get(handleKey(handle)),
+    put,
+    invalidate,
+    stats: getStats
+  };
+}
+
+// Build the cache from environment variables:
+//   PRODUCT_CACHE_TTL_SECONDS   entry lifetime (default 300)
+//   PRODUCT_CACHE_MAX_ENTRIES   memory backend size (default 5000)
+//   PRODUCT_CACHE_BACKEND       "memory" (default) or "redis"
+//   REDIS_URL                   used by the redis backend; needs `npm install ioredis`
+// `scope` is passed through to createProductCache.
+function createProductCacheFromEnv(env = process.env, { scope } = {}) {
+  const ttlSeconds = Number(env.PRODUCT_CACHE_TTL_SECONDS || DEFAULT_TTL_SECONDS);
+  let backend;
+
+  if (env.PRODUCT_CACHE_BACKEND === 'redis') {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (e) {
+      throw new Error('PRODUCT_CACHE_BACKEND=redis requires the "ioredis" package (npm install ioredis)');
+    }
+    backend = new RedisCacheBackend(new Redis(env.REDIS_URL));
+  } else {
+    backend = new MemoryCacheBackend({ maxEntries: Number(env.PRODUCT_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES) });
+  }
+
+  return createProductCache({ backend, ttlSeconds, scope });
+}
+
+module.exports = {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  createProductCache,
+  createProductCacheFromEnv
+};
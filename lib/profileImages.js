@@ -0,0 +1,172 @@
+// lib/profileImages.js - Shopify files behind a customer's profile image
+//
+// A profile image is a MediaImage referenced from the profile_image metafield,
+// plus the thumbnails listed in profile_image_variants when avatar processing
+// is on. Both live in the profile schema's namespace (custom by default). Uploaded files are named profile_<customer id>_<time>...,
+// which is how the cleanup script recognises files this app created.
+
+const PROFILE_IMAGE_KEY = 'profile_image';
+const PROFILE_IMAGE_VARIANTS_KEY = 'profile_image_variants';
+const PROFILE_FILENAME_PATTERN = /^profile_(\d+)_(\d+)/;
+
+// Thumbnail file IDs by size from profile_image_variants ({ value } or null)
+function parseVariantIds(variantsMetafield) {
+  if (!variantsMetafield?.value) return {};
+  try {
+    const variants = JSON.parse(variantsMetafield.value);
+    return variants && typeof variants === 'object' && !Array.isArray(variants) ? variants : {};
+  } catch (e) {
+    console.warn('⚠️ Ignoring unreadable profile_image_variants value');
+    return {};
+  }
+}
+
+// Every file ID referenced by the two metafields ({ value } objects, either may be null)
+function profileImageFileIds(imageMetafield, variantsMetafield) {
+  const ids = [imageMetafield?.value, ...Object.values(parseVariantIds(variantsMetafield))];
+  return [...new Set(ids.filter(id => typeof id === 'string' && id.startsWith('gid://')))];
+}
+
+// Look up image files by ID; returns a Map of id -> { id, status, url, width, height, errors }.
+// status is Shopify's fileStatus: UPLOADED and PROCESSING files have no URL yet,
+// READY files do, FAILED files carry errors. Deleted files are left out.
+async function fetchImageFiles(shopify, fileIds) {
+  const files = new Map();
+  if (fileIds.length === 0) return files;
+
+  const query = `
+    query imageFiles($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on MediaImage {
+          id
+          fileStatus
+          fileErrors {
+            code
+            message
+          }
+          image {
+            url
+            width
+            height
+          }
+        }
+      }
+    }
+  `;
+  const data = await shopify.graphql(query, { ids: fileIds });
+  for (const node of data?.nodes || []) {
+    if (!node?.id) continue;
+    files.set(node.id, {
+      id: node.id,
+      status: node.fileStatus,
+      url: node.image?.url || null,
+      width: node.image?.width || null,
+      height: node.image?.height || null,
+      errors: (node.fileErrors || []).map(({ code, message }) => ({ code, message }))
+    });
+  }
+  return files;
+}
+
+// Resolve the profile image metafields to { id, status, url, width, height, errors, variants }
+// where variants maps each size to the same shape. A file that no longer exists is
+// reported with status MISSING. Returns null when the customer has no profile image.
+async function resolveProfileImage(shopify, imageMetafield, variantsMetafield) {
+  if (!imageMetafield?.value) return null;
+
+  const variantIds = parseVariantIds(variantsMetafield);
+  const files = await fetchImageFiles(shopify, profileImageFileIds(imageMetafield, variantsMetafield));
+  const describe = id => files.get(id) || { id, status: 'MISSING', url: null, width: null, height: null, errors: [] };
+
+  const variants = {};
+  for (const [size, id] of Object.entries(variantIds)) variants[size] = describe(id);
+  return { ...describe(imageMetafield.value), variants };
+}
+
+// Helper: [customer id, upload time] matched from an uploaded file's name or URL, or null
+function matchFilename(filenameOrUrl) {
+  const filename = String(filenameOrUrl || '').split('?')[0].split('/').pop();
+  return filename.match(PROFILE_FILENAME_PATTERN);
+}
+
+// Customer ID encoded in an uploaded file's name or URL, or null for other files
+function customerIdFromFilename(filenameOrUrl) {
+  const match = matchFilename(filenameOrUrl);
+  return match ? match[1] : null;
+}
+
+// Upload time (ms since epoch) encoded in an uploaded file's name or URL, or null for other files
+function uploadTimeFromFilename(filenameOrUrl) {
+  const match = matchFilename(filenameOrUrl);
+  return match ? Number(match[2]) : null;
+}
+
+// The customer's uploads that referencedIds no longer include, uploaded before `before`
+// (ms since epoch). Later ones are left alone: they may belong to an upload still in progress.
+async function findReplacedFiles(shopify, customerId, referencedIds, before) {
+  const query = `
+    query customerProfileImageFiles($query: String!, $after: String) {
+      files(first: 50, after: $after, query: $query) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+            ... on MediaImage {
+              image {
+                url
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const replaced = [];
+  let after = null;
+  do {
+    const data = await shopify.graphql(query, { query: `filename:profile_${customerId}_* AND media_type:IMAGE`, after });
+    for (const { node } of data.files.edges) {
+      const url = node.image?.url;
+      if (customerIdFromFilename(url) !== String(customerId) || referencedIds.includes(node.id)) continue;
+      if (uploadTimeFromFilename(url) < before) replaced.push(node.id);
+    }
+    after = data.files.pageInfo.hasNextPage ? data.files.pageInfo.endCursor : null;
+  } while (after);
+
+  return replaced;
+}
+
+// Delete Shopify files; returns the IDs Shopify reports as deleted
+async function deleteFiles(shopify, fileIds) {
+  if (fileIds.length === 0) return [];
+
+  const fileDeleteMutation = `
+    mutation deleteProfileImage($fileIds: [ID!]!) {
+      fileDelete(fileIds: $fileIds) {
+        deletedFileIds
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const result = await shopify.graphql(fileDeleteMutation, { fileIds });
+  return result?.fileDelete?.deletedFileIds || [];
+}
+
+module.exports = {
+  PROFILE_IMAGE_KEY,
+  PROFILE_IMAGE_VARIANTS_KEY,
+  customerIdFromFilename,
+  deleteFiles,
+  fetchImageFiles,
+  findReplacedFiles,
+  profileImageFileIds,
+  resolveProfileImage,
+  uploadTimeFromFilename
+};
@@ -0,0 +1,303 @@
+// lib/profileSchema.js - Declarative schema for customer profile metafields
+//
+// The schema (config/profile-schema.json, or PROFILE_SCHEMA_PATH) lists each
+// profile field's metafield key and type, whether customers may edit it, and
+// its validation rules. The update/get profile routes and the storefront form
+// are all driven from it, so adding a field only means editing the file.
+//
+// `customerFields` holds validation rules for the native customer fields
+// (first_name, last_name, email, phone); `fields` lists the metafields.
+//
+// Field definition:
+//   key         metafield key (in the schema's namespace)
+//   label       human readable name for forms
+//   type        Shopify metafield type, see SUPPORTED_TYPES
+//   editable    whether the customer may set it through the profile routes
+//   validation  optional rules: required, minLength, maxLength, pattern,
+//               enum (matched case-insensitively, stored as listed),
+//               min, max (numbers, or YYYY-MM-DD for dates),
+//               minAge, maxAge (dates, in whole years before today),
+//               format ("e164" phone numbers are normalized, "email")
+
+const fs = require('fs');
+const path = require('path');
+const { ageOn, isValidEmail, normalizePhoneE164 } = require('./validators');
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'profile-schema.json');
+
+const SUPPORTED_TYPES = [
+  'single_line_text_field',
+  'multi_line_text_field',
+  'number_integer',
+  'number_decimal',
+  'boolean',
+  'date',
+  'url',
+  'color',
+  'file_reference',
+  'json'
+];
+
+const KNOWN_RULES = ['required', 'minLength', 'maxLength', 'pattern', 'enum', 'min', 'max', 'minAge', 'maxAge', 'format'];
+const KNOWN_FORMATS = ['e164', 'email'];
+// Native customer fields and the CustomerInput property each one maps to
+const CUSTOMER_FIELD_INPUTS = { first_name: 'firstName', last_name: 'lastName', email: 'email', phone: 'phone' };
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function fieldError(field, code, message) {
+  return { field: field.key, code, message };
+}
+
+// Convert a submitted value to the metafield string value, or return an error
+function validateFieldValue(field, raw) {
+  const rules = field.validation || {};
+  let value;
+
+  switch (field.type) {
+    case 'number_integer':
+    case 'number_decimal': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(number) || (field.type === 'number_integer' && !Number.isInteger(number))) {
+        return { error: fieldError(field, 'invalid_type', `${field.label} must be a ${field.type === 'number_integer' ? 'whole number' : 'number'}`) };
+      }
+      if (rules.min !== undefined && number < rules.min) return { error: fieldError(field, 'too_small', `${field.label} must be at least ${rules.min}`) };
+      if (rules.max !== undefined && number > rules.max) return { error: fieldError(field, 'too_large', `${field.label} must be at most ${rules.max}`) };
+      value = String(number);
+      break;
+    }
+    case 'boolean': {
+      if (raw !== true && raw !== false && raw !== 'true' && raw !== 'false') {
+        return { error: fieldError(field, 'invalid_type', `${field.label} must be true or false`) };
+      }
+      value = String(raw);
+      break;
+    }
+    case 'date': {
+      value = String(raw).trim();
+      if (!isValidDate(value)) return { error: fieldError(field, 'invalid_format', `${field.label} must be a date in YYYY-MM-DD format`) };
+      if (rules.min !== undefined && value < rules.min) return { error: fieldError(field, 'too_small', `${field.label} must be on or after ${rules.min}`) };
+      if (rules.max !== undefined && value > rules.max) return { error: fieldError(field, 'too_large', `${field.label} must be on or before ${rules.max}`) };
+      if (value > new Date().toISOString().slice(0, 10)) return { error: fieldError(field, 'future_date', `${field.label} can't be in the future`) };
+      if (rules.minAge !== undefined && ageOn(value) < rules.minAge) return { error: fieldError(field, 'too_young', `You must be at least ${rules.minAge} years old`) };
+      if (rules.maxAge !== undefined && ageOn(value) > rules.maxAge) return { error: fieldError(field, 'too_old', `${field.label} must be within the last ${rules.maxAge} years`) };
+      break;
+    }
+    case 'json': {
+      try {
+        value = JSON.stringify(typeof raw === 'string' ? JSON.parse(raw) : raw);
+      } catch (e) {
+        return { error: fieldError(field, 'invalid_format', `${field.label} must be valid JSON`) };
+      }
+      break;
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: fieldError(field, 'invalid_type', `${field.label} must be text`) };
+      }
+      value = String(raw).trim();
+      if (field.type === 'single_line_text_field' && /[\r\n]/.test(value)) {
+        return { error: fieldError(field, 'invalid_format', `${field.label} must be a single line`) };
+      }
+    }
+  }
+
+  if (rules.minLength !== undefined && value.length < rules.minLength) {
+    return { error: fieldError(field, 'too_short', `${field.label} must be at least ${rules.minLength} characters`) };
+  }
+  if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+    return { error: fieldError(field, 'too_long', `${field.label} must be at most ${rules.maxLength} characters`) };
+  }
+  if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+    return { error: fieldError(field, 'invalid_format', `${field.label} is not in the expected format`) };
+  }
+  if (Array.isArray(rules.enum)) {
+    const match = rules.enum.find(option => String(option).toLowerCase() === value.toLowerCase());
+    if (match === undefined) {
+      return { error: fieldError(field, 'not_allowed', `${field.label} must be one of: ${rules.enum.join(', ')}`) };
+    }
+    value = String(match);
+  }
+  if (rules.format === 'e164') {
+    value = normalizePhoneE164(value);
+    if (!value) return { error: fieldError(field, 'invalid_phone', `${field.label} must be a valid phone number in international format, e.g. +14155550123`) };
+  }
+  if (rules.format === 'email' && !isValidEmail(value)) {
+    return { error: fieldError(field, 'invalid_email', `${field.label} must be a valid email address`) };
+  }
+
+  return { value };
+}
+
+// Convert a stored metafield value to its JSON type (numbers, booleans, parsed json)
+function typedValue(field, value) {
+  if (value === null || value === undefined) return null;
+  switch (field.type) {
+    case 'number_integer':
+    case 'number_decimal':
+      return Number(value);
+    case 'boolean':
+      return value === 'true';
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    default:
+      return value;
+  }
+}
+
+// Check the schema definition itself; a broken schema should stop the server at startup
+function validateRules(field) {
+  const unknown = Object.keys(field.validation || {}).filter(rule => !KNOWN_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Profile schema field "${field.key}" has unknown validation rule(s): ${unknown.join(', ')}`);
+  }
+  if (field.validation?.pattern) new RegExp(field.validation.pattern);
+  if (field.validation?.format && !KNOWN_FORMATS.includes(field.validation.format)) {
+    throw new Error(`Profile schema field "${field.key}" has unknown format "${field.validation.format}"`);
+  }
+}
+
+function validateDefinition(definition) {
+  if (!definition || !Array.isArray(definition.fields)) {
+    throw new Error('Profile schema must have a "fields" array');
+  }
+  for (const field of definition.customerFields || []) {
+    if (!field || !CUSTOMER_FIELD_INPUTS[field.key]) {
+      throw new Error(`Profile schema customer field must be one of ${Object.keys(CUSTOMER_FIELD_INPUTS).join(', ')}`);
+    }
+    validateRules(field);
+  }
+  const seen = new Set();
+  for (const field of definition.fields) {
+    if (!field || !/^[a-zA-Z0-9_-]{2,64}$/.test(field.key || '')) {
+      throw new Error(`Profile schema field has an invalid key: ${JSON.stringify(field && field.key)}`);
+    }
+    if (seen.has(field.key)) throw new Error(`Profile schema field "${field.key}" is defined twice`);
+    seen.add(field.key);
+    if (!SUPPORTED_TYPES.includes(field.type)) {
+      throw new Error(`Profile schema field "${field.key}" has unsupported type "${field.type}"`);
+    }
+    validateRules(field);
+  }
+}
+
+function createProfileSchema(definition) {
+  validateDefinition(definition);
+
+  const namespace = definition.namespace || 'custom';
+  const fields = definition.fields.map(field => ({
+    key: field.key,
+    label: field.label || field.key,
+    type: field.type,
+    editable: Boolean(field.editable),
+    validation: field.validation || {}
+  }));
+  const editableFields = fields.filter(field => field.editable);
+  const customerFields = Object.keys(CUSTOMER_FIELD_INPUTS).map(key => {
+    const configured = (definition.customerFields || []).find(field => field.key === key) || {};
+    return { key, label: configured.label || key, type: 'single_line_text_field', validation: configured.validation || {} };
+  });
+
+  // Validate the native customer fields present in `input`. Blank values are
+  // ignored (Shopify keeps the current value). Returns { input, errors } where
+  // `input` holds CustomerInput properties, e.g. { firstName, phone }.
+  function collectCustomerFields(body) {
+    const customerInput = {};
+    const errors = [];
+
+    for (const field of customerFields) {
+      if (isBlank(body[field.key])) continue;
+      const { value, error } = validateFieldValue(field, body[field.key]);
+      if (error) errors.push(error);
+      else customerInput[CUSTOMER_FIELD_INPUTS[field.key]] = value;
+    }
+
+    return { input: customerInput, errors };
+  }
+
+  // Validate the editable fields present in `input`.
+  // Returns { metafields, cleared, errors }: metafield inputs to set, keys the
+  // customer blanked out (to delete), and { field, code, message } errors.
+  // With skipEmpty, blank values are ignored instead of clearing the field.
+  function collectMetafields(input, { skipEmpty = false } = {}) {
+    const metafields = [];
+    const cleared = [];
+    const errors = [];
+
+    for (const field of editableFields) {
+      if (!(field.key in input)) continue;
+      const raw = input[field.key];
+
+      if (isBlank(raw)) {
+        if (skipEmpty) continue;
+        if (field.validation.required) errors.push(fieldError(field, 'required', `${field.label} is required`));
+        else cleared.push(field.key);
+        continue;
+      }
+
+      const { value, error } = validateFieldValue(field, raw);
+      if (error) errors.push(error);
+      else metafields.push({ namespace, key: field.key, value, type: field.type });
+    }
+
+    return { metafields, cleared, errors };
+  }
+
+  // GraphQL selection fetching every schema field by key, aliased field_<index>
+  // since keys may not be valid GraphQL names. Use inside a Customer selection.
+  function metafieldSelections() {
+    return fields.map((field, index) => `
+          field_${index}: metafield(namespace: "${namespace}", key: "${field.key}") {
+            key
+            value
+            type
+          }`).join('');
+  }
+
+  // Read a customer fetched with metafieldSelections(). Returns { metafields, profile }:
+  // the raw metafields present ({ key, value, type }) and every field's typed value (or null)
+  function readProfile(customer) {
+    const metafields = [];
+    const profile = {};
+    fields.forEach((field, index) => {
+      const metafield = customer?.[`field_${index}`] || null;
+      profile[field.key] = metafield ? typedValue(field, metafield.value) : null;
+      if (metafield) metafields.push(metafield);
+    });
+    return { metafields, profile };
+  }
+
+  // Public description for rendering the storefront form
+  function describe() {
+    return {
+      namespace,
+      customerFields: customerFields.map(({ key, label, validation }) => ({ key, label, validation })),
+      fields: fields.map(({ key, label, type, editable, validation }) => ({ key, label, type, editable, validation }))
+    };
+  }
+
+  return { namespace, fields, editableFields, collectCustomerFields, collectMetafields, metafieldSelections, readProfile, describe };
+}
+
+function loadProfileSchema(file = process.env.PROFILE_SCHEMA_PATH || DEFAULT_SCHEMA_PATH) {
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return createProfileSchema(definition);
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  createProfileSchema,
+  loadProfileSchema
+};
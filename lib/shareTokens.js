@@ -0,0 +1,75 @@
+// lib/shareTokens.js - Opaque tokens for public wishlist share links
+//
+// A token is the AES-256-GCM encryption of { customer id, list id, nonce },
+// so it can be resolved without an app-side database and reveals nothing about
+// the customer. The token is also stored on the list in custom.wishlist; a
+// token only resolves while it is still the one stored there, which is what
+// makes revoking and rotating work.
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+
+// Buffer's 'base64url' encoding needs Node 15.7+, and we support Node 14
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function getKey() {
+  const secret = process.env.SHARE_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET;
+  if (!secret) throw new Error('SHARE_TOKEN_SECRET or SHOPIFY_API_SECRET must be set to share wishlists');
+  return crypto.createHash('sha256').update(`wishlist-share:${secret}`).digest();
+}
+
+function createShareToken(customerId, listId) {
+  const iv = crypto.randomBytes(12);
+  const payload = JSON.stringify({ c: String(customerId), l: String(listId), n: crypto.randomBytes(16).toString('hex') });
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${VERSION}.${toBase64Url(Buffer.concat([iv, tag, encrypted]))}`;
+}
+
+// Returns { customerId, listId } or null when the token is malformed or forged
+function readShareToken(token) {
+  if (typeof token !== 'string') return null;
+  const [version, body] = token.split('.');
+  if (version !== VERSION || !body) return null;
+
+  try {
+    const raw = fromBase64Url(body);
+    if (raw.length < 29) return null;
+    const iv = raw.subarray(0, 12);
+    const tag = raw.subarray(12, 28);
+    const encrypted = raw.subarray(28);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    const payload = JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+
+    if (!payload.c || !payload.l) return null;
+    return { customerId: payload.c, listId: payload.l };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: constant-time check that a presented token is the one stored on a list
+function tokenMatches(stored, presented) {
+  if (!stored || !presented) return false;
+  const a = Buffer.from(String(stored));
+  const b = Buffer.from(String(presented));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  createShareToken,
+  readShareToken,
+  tokenMatches
+};
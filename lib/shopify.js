@@ -0,0 +1,200 @@
+// lib/shopify.js - Shared Shopify Admin GraphQL client
+//
+// Every call to the Admin API goes through `client.graphql()`, which:
+//   - tracks the leaky-bucket cost budget reported in `extensions.cost` and
+//     waits before sending a query the bucket can't afford yet,
+//   - retries THROTTLED responses, HTTP 429s, transient 5xx and network errors
+//     with exponential backoff; mutations are only retried when Shopify can't
+//     have run them (throttled, or the connection was never made), so a
+//     timed-out draftOrderCreate or fileCreate doesn't run twice,
+//   - turns top-level GraphQL `errors` and mutation `userErrors` into a single
+//     ShopifyError shape.
+
+const axios = require('axios');
+
+const DEFAULT_MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || 4);
+// A hung connection is aborted (ECONNABORTED) after this long and retried like any network error
+const DEFAULT_TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS || 30000);
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+// Used until Shopify has told us what a query actually costs
+const DEFAULT_QUERY_COST = 50;
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+// Network errors raised before the request reached Shopify; the only ones a mutation is retried on
+const NOT_SENT_NETWORK_CODES = ['EAI_AGAIN', 'ECONNREFUSED'];
+
+// type is one of: USER_ERRORS, GRAPHQL, THROTTLED, HTTP, NETWORK.
+// status is the HTTP status the API should answer its own caller with.
+class ShopifyError extends Error {
+  constructor(type, message, { status = 502, errors = [], cause } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.type = type;
+    this.status = status;
+    this.errors = errors;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return { type: this.type, message: this.message, errors: this.errors };
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+// Helper: collect userErrors from every top-level mutation payload in `data`
+function collectUserErrors(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') return errors;
+  for (const payload of Object.values(data)) {
+    if (payload && Array.isArray(payload.userErrors)) {
+      errors.push(...payload.userErrors);
+    }
+  }
+  return errors;
+}
+
+function isThrottled(errors) {
+  return Array.isArray(errors) && errors.some(e => e?.extensions?.code === 'THROTTLED');
+}
+
+// Helper: does the document run a mutation (as opposed to a query)?
+function isMutation(query) {
+  return /^\s*mutation\b/.test(String(query).replace(/^\s*#.*$/gm, ''));
+}
+
+function createShopifyClient({ shop, accessToken, apiVersion, maxRetries = DEFAULT_MAX_RETRIES, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const endpoint = `https://${shop}/admin/api/${apiVersion}/graphql.json`;
+
+  // Leaky-bucket state from the last extensions.cost.throttleStatus we saw
+  const bucket = {
+    maximumAvailable: null,
+    currentlyAvailable: null,
+    restoreRate: null,
+    updatedAt: 0
+  };
+  // Last requested cost per query text, so repeat queries wait for the right amount
+  const knownCosts = new Map();
+
+  function availableNow() {
+    if (bucket.currentlyAvailable === null) return Infinity;
+    const restored = ((Date.now() - bucket.updatedAt) / 1000) * bucket.restoreRate;
+    return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+  }
+
+  function recordCost(query, cost) {
+    if (!cost) return;
+    if (cost.requestedQueryCost !== undefined) knownCosts.set(query, cost.requestedQueryCost);
+    const status = cost.throttleStatus;
+    if (status) {
+      bucket.maximumAvailable = status.maximumAvailable;
+      bucket.currentlyAvailable = status.currentlyAvailable;
+      bucket.restoreRate = status.restoreRate;
+      bucket.updatedAt = Date.now();
+    }
+  }
+
+  // Wait until the bucket has restored enough points for this query
+  async function waitForBudget(query) {
+    const needed = Math.min(knownCosts.get(query) ?? DEFAULT_QUERY_COST, bucket.maximumAvailable ?? Infinity);
+    const available = availableNow();
+    if (available >= needed || !bucket.restoreRate) return;
+    const waitMs = Math.ceil(((needed - available) / bucket.restoreRate) * 1000);
+    console.log(`⏳ Shopify cost budget low (${Math.floor(available)}/${needed}), waiting ${waitMs}ms`);
+    await sleep(waitMs);
+  }
+
+  async function graphql(query, variables = {}) {
+    const mutation = isMutation(query);
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForBudget(query);
+
+      let response;
+      try {
+        response = await axios.post(
+          endpoint,
+          { query, variables },
+          {
+            headers: { 'X-Shopify-Access-Token': accessToken, 'Content-Type': 'application/json' },
+            timeout: timeoutMs,
+            validateStatus: () => true
+          }
+        );
+      } catch (err) {
+        const retryable = (mutation ? NOT_SENT_NETWORK_CODES : RETRYABLE_NETWORK_CODES).includes(err.code);
+        if (retryable && attempt < maxRetries) {
+          const delay = backoffDelay(attempt);
+          console.warn(`🔁 Shopify network error (${err.code}), retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+        throw new ShopifyError('NETWORK', `Could not reach Shopify: ${err.message}`, { cause: err });
+      }
+
+      const { status, data: body } = response;
+
+      // A 429 is rejected before anything runs; a 5xx mutation may have been applied
+      if (status === 429 || (status >= 500 && status < 600)) {
+        if (attempt < maxRetries && (status === 429 || !mutation)) {
+          const retryAfter = Number(response.headers?.['retry-after']);
+          const delay = retryAfter > 0 ? retryAfter * 1000 : backoffDelay(attempt);
+          console.warn(`🔁 Shopify responded ${status}, retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+        if (status === 429) {
+          throw new ShopifyError('THROTTLED', 'Shopify API rate limit exceeded', { status: 429 });
+        }
+        throw new ShopifyError('HTTP', `Shopify responded with HTTP ${status}`, {
+          errors: body?.errors ? [].concat(body.errors) : []
+        });
+      }
+
+      if (status < 200 || status >= 300) {
+        throw new ShopifyError('HTTP', `Shopify responded with HTTP ${status}`, {
+          errors: body?.errors ? [].concat(body.errors) : []
+        });
+      }
+
+      recordCost(query, body?.extensions?.cost);
+
+      if (isThrottled(body?.errors)) {
+        if (attempt < maxRetries) {
+          const delay = bucket.restoreRate ? 0 : backoffDelay(attempt);
+          console.warn('🔁 Shopify query THROTTLED, waiting for cost budget');
+          await sleep(delay);
+          continue;
+        }
+        throw new ShopifyError('THROTTLED', 'Shopify query was throttled', { status: 429, errors: body.errors });
+      }
+
+      if (Array.isArray(body?.errors) && body.errors.length > 0) {
+        throw new ShopifyError('GRAPHQL', body.errors[0].message || 'Shopify GraphQL error', { errors: body.errors });
+      }
+
+      const userErrors = collectUserErrors(body?.data);
+      if (userErrors.length > 0) {
+        throw new ShopifyError('USER_ERRORS', userErrors[0].message || 'Shopify rejected the request', {
+          status: 400,
+          errors: userErrors
+        });
+      }
+
+      return body?.data;
+    }
+  }
+
+  return { graphql, shop, apiVersion };
+}
+
+module.exports = {
+  ShopifyError,
+  createShopifyClient
+};
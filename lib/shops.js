@@ -0,0 +1,294 @@
+// lib/shops.js - Installed shops and their Admin API credentials
+//
+// Each store installs the app through OAuth (lib/oauth.js), which saves the
+// shop's offline access token here. A deployment for a single store can still
+// set SHOP_NAME and ACCESS_TOKEN; that shop then counts as installed.
+//
+// Requests are handled inside a shop context (AsyncLocalStorage), so helpers
+// deep in server.js reach the right shop's Admin API through `registry.client`
+// without every function taking the shop as a parameter.
+//
+// Stores implement async get(shop), set(shop, record), delete(shop) and list(),
+// where a record is { shop, access_token, scope, storefront_url, installed_at }.
+// FileShopStore (one JSON file per shop) is the default; RedisShopStore wraps an
+// ioredis-compatible client, for hosts without a persistent disk such as Vercel.
+//
+// Configuration:
+//   SHOP_STORE       "file" (default) or "redis"
+//   SHOP_STORE_DIR   file store directory (default ./data/shops)
+//   REDIS_URL        used by the redis store; needs `npm install ioredis`
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createShopifyClient } = require('./shopify');
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+// How long the set of allowed CORS origins is reused before the store is read again
+const ORIGIN_CACHE_MS = 60 * 1000;
+
+// Helper: "https://Example.myshopify.com/" -> "example.myshopify.com"; null unless it's a myshopify.com domain
+function parseShopDomain(value) {
+  if (typeof value !== 'string') return null;
+  const domain = value.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '').toLowerCase();
+  return SHOP_DOMAIN_PATTERN.test(domain) ? domain : null;
+}
+
+// The shop's primary storefront URL (its custom domain if it has one), for cart links and CORS
+async function fetchStorefrontUrl(shopify, shop) {
+  const data = await shopify.graphql(`
+    query installedShop {
+      shop {
+        primaryDomain {
+          url
+        }
+      }
+    }
+  `);
+  return data?.shop?.primaryDomain?.url || `https://${shop}`;
+}
+
+class FileShopStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  file(shop) {
+    return path.join(this.dir, `${shop}.json`);
+  }
+
+  async get(shop) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(shop), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // The file holds an access token, so only the server's user may read it
+  async set(shop, record) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.file(shop), JSON.stringify(record), { mode: 0o600 });
+  }
+
+  async delete(shop) {
+    await fs.promises.rm(this.file(shop), { force: true });
+  }
+
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const records = [];
+    for (const name of names.filter(n => n.endsWith('.myshopify.com.json'))) {
+      const record = await this.get(name.slice(0, -5));
+      if (record) records.push(record);
+    }
+    return records;
+  }
+}
+
+class RedisShopStore {
+  constructor(client, { key = 'shops' } = {}) {
+    this.client = client;
+    this.key = key;
+  }
+
+  async get(shop) {
+    const raw = await this.client.hget(this.key, shop);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(shop, record) {
+    await this.client.hset(this.key, shop, JSON.stringify(record));
+  }
+
+  async delete(shop) {
+    await this.client.hdel(this.key, shop);
+  }
+
+  async list() {
+    return Object.values(await this.client.hgetall(this.key)).map(raw => JSON.parse(raw));
+  }
+}
+
+// staticShop: { shop, accessToken, storefrontUrl } from SHOP_NAME/ACCESS_TOKEN, or null
+function createShopRegistry({ store, apiVersion, staticShop = null }) {
+  const storage = new AsyncLocalStorage();
+  const clients = new Map();
+  let originCache = null;
+  let storefrontLookup = null;
+
+  const staticRecord = staticShop && {
+    shop: parseShopDomain(staticShop.shop) || staticShop.shop,
+    access_token: staticShop.accessToken,
+    scope: null,
+    storefront_url: staticShop.storefrontUrl || null,
+    installed_at: null
+  };
+
+  async function get(shop) {
+    const domain = parseShopDomain(shop);
+    if (!domain) return null;
+    if (staticRecord && staticRecord.shop === domain) return staticRecord;
+    return store.get(domain);
+  }
+
+  async function list() {
+    const records = await store.list();
+    return staticRecord ? [staticRecord, ...records.filter(record => record.shop !== staticRecord.shop)] : records;
+  }
+
+  async function install(record) {
+    await store.set(record.shop, record);
+    clients.delete(record.shop);
+    originCache = null;
+  }
+
+  async function uninstall(shop) {
+    await store.delete(shop);
+    clients.delete(shop);
+    originCache = null;
+  }
+
+  // Admin API client for an installed shop's record, reused while its token doesn't change
+  function clientFor(record) {
+    const cached = clients.get(record.shop);
+    if (cached && cached.accessToken === record.access_token) return cached.client;
+    const client = createShopifyClient({ shop: record.shop, accessToken: record.access_token, apiVersion });
+    clients.set(record.shop, { accessToken: record.access_token, client });
+    return client;
+  }
+
+  // Without STOREFRONT_URL, the SHOP_NAME shop's storefront URL is looked up once from its primary domain
+  function resolveStorefrontUrl() {
+    if (!staticRecord || staticRecord.storefront_url) return Promise.resolve(staticRecord ? staticRecord.storefront_url : null);
+    if (!storefrontLookup) {
+      storefrontLookup = fetchStorefrontUrl(clientFor(staticRecord), staticRecord.shop).then(url => {
+        staticRecord.storefront_url = url;
+        originCache = null;
+        return url;
+      });
+    }
+    return storefrontLookup;
+  }
+
+  // { shop, storefrontUrl, shopify } for a shop; shopify is null when the app isn't installed there
+  // (privacy webhooks still arrive after an uninstall)
+  async function contextFor(shop) {
+    const domain = parseShopDomain(shop);
+    const record = domain ? await get(domain) : null;
+    return {
+      shop: domain,
+      storefrontUrl: record?.storefront_url || `https://${domain}`,
+      shopify: record ? clientFor(record) : null
+    };
+  }
+
+  // Run fn inside a shop context (see contextFor)
+  function run(context, fn) {
+    return storage.run(context, fn);
+  }
+
+  // The current request's shop context, or undefined outside one
+  function current() {
+    return storage.getStore();
+  }
+
+  // Stands in for a Shopify client: calls go to the current shop's client
+  const client = {
+    graphql(query, variables) {
+      const context = current();
+      if (!context) return Promise.reject(new Error('No shop context for this Shopify call'));
+      if (!context.shopify) return Promise.reject(new Error(`The app is not installed on ${context.shop}`));
+      return context.shopify.graphql(query, variables);
+    }
+  };
+
+  // Browser origins of installed shops: their myshopify.com domains and storefront URLs
+  async function isAllowedOrigin(origin) {
+    // A failed lookup was already reported by whoever started it; the myshopify.com origin still works
+    await resolveStorefrontUrl().catch(() => null);
+    if (!originCache || originCache.expiresAt < Date.now()) {
+      const origins = new Set();
+      for (const record of await list()) {
+        origins.add(`https://${record.shop}`);
+        if (record.storefront_url) origins.add(record.storefront_url.replace(/\/+$/, ''));
+      }
+      originCache = { origins, expiresAt: Date.now() + ORIGIN_CACHE_MS };
+    }
+    return originCache.origins.has(origin);
+  }
+
+  return {
+    defaultShop: staticRecord ? staticRecord.shop : null,
+    get,
+    list,
+    install,
+    uninstall,
+    contextFor,
+    run,
+    current,
+    client,
+    isAllowedOrigin,
+    resolveStorefrontUrl
+  };
+}
+
+// Build the registry from environment variables (see header)
+function createShopRegistryFromEnv(env = process.env) {
+  let store;
+  if (env.SHOP_STORE === 'redis') {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (e) {
+      throw new Error('SHOP_STORE=redis requires the "ioredis" package (npm install ioredis)');
+    }
+    store = new RedisShopStore(new Redis(env.REDIS_URL));
+  } else {
+    store = new FileShopStore({ dir: env.SHOP_STORE_DIR || path.join(process.cwd(), 'data', 'shops') });
+  }
+
+  const staticShop = env.SHOP_NAME && env.ACCESS_TOKEN
+    ? { shop: env.SHOP_NAME, accessToken: env.ACCESS_TOKEN, storefrontUrl: env.STOREFRONT_URL }
+    : null;
+
+  return createShopRegistry({ store, apiVersion: env.API_VERSION || '2024-10', staticShop });
+}
+
+// Shops a maintenance script should work on: `--shop=<domain>` picks one, otherwise
+// every installed shop (or just SHOP_NAME in a single-store deployment).
+// Returns [{ shop, shopify }].
+async function shopsForScript(argv = process.argv, env = process.env) {
+  const registry = createShopRegistryFromEnv(env);
+  const requested = (argv.find(arg => arg.startsWith('--shop=')) || '').slice('--shop='.length);
+
+  let records;
+  if (requested) {
+    const record = await registry.get(requested);
+    if (!record) throw new Error(`${requested} is not an installed shop`);
+    records = [record];
+  } else if (registry.defaultShop) {
+    records = [await registry.get(registry.defaultShop)];
+  } else {
+    records = await registry.list();
+  }
+
+  return Promise.all(records.map(async record => ({ shop: record.shop, shopify: (await registry.contextFor(record.shop)).shopify })));
+}
+
+module.exports = {
+  FileShopStore,
+  RedisShopStore,
+  createShopRegistry,
+  createShopRegistryFromEnv,
+  fetchStorefrontUrl,
+  parseShopDomain,
+  shopsForScript
+};
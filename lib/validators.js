@@ -0,0 +1,51 @@
+// lib/validators.js - Format checks shared by the profile schema and native customer fields
+
+// Used to complete numbers entered without an international prefix, e.g. "44" or "1"
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '').replace(/\D/g, '');
+
+// Normalize a phone number to E.164 (+<country code><number>, at most 15 digits).
+// Returns null when it can't be a valid number.
+function normalizePhoneE164(raw, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  if (typeof raw !== 'string' && typeof raw !== 'number') return null;
+  let value = String(raw).trim();
+
+  // Spaces, dashes, dots and parentheses are formatting only
+  if (/[^\d+\s\-().]/.test(value)) return null;
+  value = value.replace(/[\s\-().]/g, '');
+
+  if (value.startsWith('00')) {
+    value = `+${value.slice(2)}`;
+  } else if (!value.startsWith('+')) {
+    if (!defaultCountryCode) return null;
+    // Drop a national trunk prefix ("07..." -> "+447...")
+    value = `+${defaultCountryCode}${value.replace(/^0+/, '')}`;
+  }
+
+  return /^\+[1-9]\d{6,14}$/.test(value) ? value : null;
+}
+
+// Practical RFC 5322 address check: dot-atom local part, hostname domain with a TLD
+const EMAIL_PATTERN = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,63}$/;
+
+function isValidEmail(raw) {
+  if (typeof raw !== 'string') return false;
+  const value = raw.trim();
+  if (value.length > 254) return false;
+  const local = value.split('@')[0];
+  return local.length <= 64 && EMAIL_PATTERN.test(value);
+}
+
+// Whole years between a YYYY-MM-DD date and today (UTC)
+function ageOn(dateString, today = new Date()) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  let age = today.getUTCFullYear() - year;
+  const beforeBirthday = today.getUTCMonth() + 1 < month || (today.getUTCMonth() + 1 === month && today.getUTCDate() < day);
+  if (beforeBirthday) age--;
+  return age;
+}
+
+module.exports = {
+  ageOn,
+  isValidEmail,
+  normalizePhoneE164
+};
@@ -0,0 +1,163 @@
+// lib/webhooks.js - Shopify webhook receiver
+//
+// Mounted at /webhooks, ahead of express.json(), so the HMAC can be checked
+// against the exact bytes Shopify sent. Each delivery is:
+//   1. verified with X-Shopify-Hmac-Sha256 (base64 HMAC-SHA256 of the raw body),
+//   2. checked against X-Shopify-Topic and X-Shopify-Shop-Domain,
+//   3. deduplicated by X-Shopify-Webhook-Id (Shopify retries and may deliver twice),
+//   4. dispatched to the handlers registered with on(topic, handler).
+// Handlers are awaited before answering, so a failure returns 500 and Shopify
+// retries the delivery later. They run inside withShop(shop, ...), which lets
+// server.js give them the sending shop's API client.
+//
+// registerWebhooks() subscribes a newly installed shop to the topics the app
+// handles itself; the privacy topics are configured in the Partner Dashboard.
+
+const crypto = require('crypto');
+const express = require('express');
+const { MemoryCacheBackend } = require('./productCache');
+
+// Shopify retries failed deliveries for up to 48 hours
+const DEDUPE_TTL_SECONDS = 48 * 60 * 60;
+
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !Buffer.isBuffer(rawBody)) return false;
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('base64'));
+  const received = Buffer.from(String(hmacHeader));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Subscribe a shop to topics (e.g. "products/update") delivered to <appUrl>/webhooks/<topic>.
+// Topics it's already subscribed to at that address are left alone, so reinstalling is safe.
+async function registerWebhooks(shopify, appUrl, topics) {
+  const base = String(appUrl).replace(/\/+$/, '');
+  const existing = await shopify.graphql(`
+    query existingWebhooks {
+      webhookSubscriptions(first: 100) {
+        edges {
+          node {
+            topic
+            endpoint {
+              ... on WebhookHttpEndpoint {
+                callbackUrl
+              }
+            }
+          }
+        }
+      }
+    }
+  `);
+  const subscribed = new Set(existing.webhookSubscriptions.edges.map(({ node }) => `${node.topic} ${node.endpoint?.callbackUrl}`));
+
+  const mutation = `
+    mutation registerWebhook($topic: WebhookSubscriptionTopic!, $subscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $subscription) {
+        webhookSubscription {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const created = [];
+  for (const topic of topics) {
+    // "products/update" -> PRODUCTS_UPDATE
+    const topicEnum = topic.replace('/', '_').toUpperCase();
+    const callbackUrl = `${base}/webhooks/${topic}`;
+    if (subscribed.has(`${topicEnum} ${callbackUrl}`)) continue;
+    await shopify.graphql(mutation, { topic: topicEnum, subscription: { callbackUrl, format: 'JSON' } });
+    created.push(topic);
+  }
+  return created;
+}
+
+function createWebhookReceiver({
+  secret,
+  shopDomain,
+  dedupeStore = new MemoryCacheBackend({ maxEntries: 20000 }),
+  withShop = (shop, run) => run()
+}) {
+  const handlers = new Map();
+  const router = express.Router();
+
+  // Register a handler: async (payload, { topic, shop, webhookId }) => {}
+  function on(topic, handler) {
+    if (!handlers.has(topic)) handlers.set(topic, []);
+    handlers.get(topic).push(handler);
+  }
+
+  router.post('/:resource/:event', express.raw({ type: '*/*', limit: '5mb' }), async (req, res) => {
+    const topic = `${req.params.resource}/${req.params.event}`;
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    const shop = req.get('X-Shopify-Shop-Domain');
+
+    if (!secret) {
+      console.error('❌ Webhook secret is not configured; rejecting webhook', topic);
+      return res.status(500).json({ success: false, error: 'Webhooks are not configured' });
+    }
+
+    if (!verifyWebhookHmac(req.body, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+      console.warn(`🔒 Rejected webhook ${topic}: invalid HMAC`);
+      return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    const headerTopic = req.get('X-Shopify-Topic');
+    if (headerTopic && headerTopic !== topic) {
+      console.warn(`🔒 Rejected webhook: path topic ${topic} does not match X-Shopify-Topic ${headerTopic}`);
+      return res.status(400).json({ success: false, error: 'Topic mismatch' });
+    }
+
+    if (shopDomain && shop && shop !== shopDomain) {
+      console.warn(`🔒 Rejected webhook ${topic} from unexpected shop ${shop}`);
+      return res.status(401).json({ success: false, error: 'Unknown shop' });
+    }
+
+    const topicHandlers = handlers.get(topic) || [];
+    if (topicHandlers.length === 0) {
+      console.log(`📭 No handler for webhook ${topic}, acknowledging`);
+      return res.status(200).json({ success: true, handled: false });
+    }
+
+    if (webhookId && (await dedupeStore.get(webhookId)) !== undefined) {
+      console.log(`♻️ Duplicate webhook ${topic} (${webhookId}), skipping`);
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Invalid JSON payload' });
+    }
+
+    // Mark as seen before running handlers so a concurrent redelivery is skipped
+    if (webhookId) await dedupeStore.set(webhookId, true, DEDUPE_TTL_SECONDS);
+
+    console.log(`📬 Webhook ${topic} (${webhookId || 'no id'}) from ${shop || 'unknown shop'}`);
+
+    try {
+      await withShop(shop, async () => {
+        for (const handler of topicHandlers) {
+          await handler(payload, { topic, shop, webhookId });
+        }
+      });
+      res.status(200).json({ success: true, handled: true });
+    } catch (err) {
+      // Forget the delivery so Shopify's retry gets processed
+      if (webhookId) await dedupeStore.del(webhookId);
+      console.error(`❌ Webhook ${topic} handler failed:`, err.errors || err.message);
+      res.status(500).json({ success: false, error: 'Webhook handler failed' });
+    }
+  });
+
+  return { router, on, topics: () => [...handlers.keys()] };
+}
+
+module.exports = {
+  createWebhookReceiver,
+  registerWebhooks,
+  verifyWebhookHmac
+};
@@ -0,0 +1,161 @@
+// lib/wishlistAlerts.js - Price-drop and back-in-stock alerts for wishlisted products
+//
+// scripts/wishlist-alerts.js runs on a schedule. Each run it snapshots the
+// price and availability of every wishlisted product, compares them with the
+// previous run's snapshot and tells each affected customer's email tool:
+//   price_drop     the lowest variant price fell by at least the threshold
+//   back_in_stock  no variant was available for sale, now one is
+// Items saved with a variant_id are compared on that variant alone.
+// Products seen for the first time only get a snapshot.
+//
+// Configuration:
+//   WISHLIST_ALERT_PRICE_DROP_PERCENT   minimum drop that counts, in percent (default 10)
+//   WISHLIST_ALERT_SNAPSHOT_FILE        snapshot path (default ./data/alerts/product-snapshots.json);
+//                                       each shop's snapshot is kept beside it, e.g. product-snapshots.<shop>.json
+//   WISHLIST_ALERT_WEBHOOK_URL          POST one JSON event per customer here
+//   WISHLIST_ALERT_WEBHOOK_SECRET       if set, events are signed (X-Wishlist-Alert-Hmac-Sha256, base64 HMAC-SHA256 of the body)
+//   WISHLIST_ALERT_TAG_PREFIX           tag customers "<prefix>price-drop" / "<prefix>back-in-stock", e.g. "wishlist-"
+// At least one of the webhook URL and tag prefix must be set.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_PRICE_DROP_PERCENT = 10;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const ALERT_TAGS = { price_drop: 'price-drop', back_in_stock: 'back-in-stock' };
+// Products per nodes(ids:) query when each pulls up to 100 variants; keeps batches well under the 1000-point query cost limit
+const PRODUCT_BATCH_SIZE = 8;
+
+// Build the alert options from environment variables (see header)
+function alertOptionsFromEnv(env = process.env) {
+  const priceDropPercent = env.WISHLIST_ALERT_PRICE_DROP_PERCENT === undefined
+    ? DEFAULT_PRICE_DROP_PERCENT
+    : Number(env.WISHLIST_ALERT_PRICE_DROP_PERCENT);
+  if (!Number.isFinite(priceDropPercent) || priceDropPercent <= 0 || priceDropPercent >= 100) {
+    throw new Error(`WISHLIST_ALERT_PRICE_DROP_PERCENT must be a percentage between 0 and 100, got "${env.WISHLIST_ALERT_PRICE_DROP_PERCENT}"`);
+  }
+
+  return {
+    priceDropPercent,
+    snapshotFile: env.WISHLIST_ALERT_SNAPSHOT_FILE || path.join(process.cwd(), 'data', 'alerts', 'product-snapshots.json'),
+    webhookUrl: env.WISHLIST_ALERT_WEBHOOK_URL || null,
+    webhookSecret: env.WISHLIST_ALERT_WEBHOOK_SECRET || null,
+    tagPrefix: env.WISHLIST_ALERT_TAG_PREFIX || null
+  };
+}
+
+// A shop's snapshots are kept in one JSON file: { products: { <product id>: snapshot } }
+function createSnapshotStore(snapshotFile, shop) {
+  const file = snapshotFile.replace(/(\.json)?$/, `.${shop}.json`);
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return parsed && typeof parsed.products === 'object' ? parsed.products : {};
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  // Written to a temp file first so a crash mid-write can't leave half a snapshot
+  async function save(products) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ updated_at: new Date().toISOString(), products }));
+    await fs.promises.rename(tmp, file);
+  }
+
+  return { load, save, file };
+}
+
+// Snapshot of a Shopify product node (see PRODUCTS_QUERY in the script):
+// { handle, title, price, currency, available, variants: { <variant id>: { price, available } }, checked_at }
+// price is the lowest variant price as a number.
+function snapshotProduct(node) {
+  const variants = {};
+  for (const { node: variant } of node.variants?.edges || []) {
+    variants[variant.id.split('/').pop()] = { price: Number(variant.price), available: Boolean(variant.availableForSale) };
+  }
+  const prices = Object.values(variants).map(variant => variant.price).filter(Number.isFinite);
+
+  return {
+    handle: node.handle,
+    title: node.title,
+    price: prices.length > 0 ? Math.min(...prices) : null,
+    currency: node.priceRangeV2?.minVariantPrice?.currencyCode || null,
+    available: Object.values(variants).some(variant => variant.available),
+    variants,
+    checked_at: new Date().toISOString()
+  };
+}
+
+// Alerts for one product between two snapshots; [] when nothing worth telling happened.
+// With a variantId, that variant's price and availability are compared instead.
+function detectProductAlerts(previous, current, { priceDropPercent }, variantId = null) {
+  if (variantId) {
+    previous = previous?.variants?.[variantId] && { ...previous.variants[variantId], currency: previous.currency };
+    current = current?.variants?.[variantId] && { ...current.variants[variantId], currency: current.currency };
+  }
+  if (!previous || !current) return [];
+  const alerts = [];
+
+  if (Number.isFinite(previous.price) && Number.isFinite(current.price) && previous.price > 0 && current.price < previous.price) {
+    const dropPercent = (previous.price - current.price) / previous.price * 100;
+    // Nobody wants to hear about a price drop on something they can't buy
+    if (dropPercent >= priceDropPercent && current.available) {
+      alerts.push({
+        type: 'price_drop',
+        old_price: previous.price,
+        new_price: current.price,
+        currency: current.currency,
+        drop_percent: Math.round(dropPercent * 10) / 10
+      });
+    }
+  }
+
+  if (!previous.available && current.available) {
+    alerts.push({ type: 'back_in_stock', price: current.price, currency: current.currency });
+  }
+
+  return alerts;
+}
+
+// Send one customer's alerts to the configured webhook and/or tag the customer.
+// event: { shop, customer_id, alerts: [...] }
+async function deliverAlerts(shopify, event, options) {
+  if (options.webhookUrl) {
+    const body = JSON.stringify({ type: 'wishlist.alerts', generated_at: new Date().toISOString(), ...event });
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.webhookSecret) {
+      headers['X-Wishlist-Alert-Hmac-Sha256'] = crypto.createHmac('sha256', options.webhookSecret).update(body).digest('base64');
+    }
+    await axios.post(options.webhookUrl, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+  }
+
+  if (options.tagPrefix) {
+    const tags = [...new Set(event.alerts.map(alert => `${options.tagPrefix}${ALERT_TAGS[alert.type]}`))];
+    const mutation = `
+      mutation tagWishlistAlert($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+    await shopify.graphql(mutation, { id: `gid://shopify/Customer/${event.customer_id}`, tags });
+  }
+}
+
+module.exports = {
+  PRODUCT_BATCH_SIZE,
+  alertOptionsFromEnv,
+  createSnapshotStore,
+  deliverAlerts,
+  detectProductAlerts,
+  snapshotProduct
+};
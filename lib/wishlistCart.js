@@ -0,0 +1,168 @@
+// lib/wishlistCart.js - Turn wishlist items into a cart
+//
+// Every item is checked against the product's current state before it goes
+// into the cart: the product must be active and the variant available for
+// sale. Items saved without a variant only work for single-variant products;
+// for anything else the customer has to pick a size, colour, etc. first.
+// The cart is either a cart permalink (/cart/<variant id>:<quantity>,...),
+// which the storefront opens to fill the cart, or a draft order whose invoice
+// URL takes the customer straight to checkout.
+
+// Product lookups pull the same 100 variants per product as the alerts job, so they share its batch size
+const { PRODUCT_BATCH_SIZE } = require('./wishlistAlerts');
+
+const PRODUCT_FIELDS = `
+  id
+  handle
+  title
+  status
+  variants(first: 100) {
+    edges {
+      node {
+        id
+        title
+        availableForSale
+      }
+    }
+  }
+`;
+
+// Helper: last segment of a GID (or the value itself)
+function numericId(value) {
+  return String(value).split('/').pop();
+}
+
+// Look up the products behind wishlist items. Returns a Map keyed by
+// "id:<product id>" and "handle:<handle>"; products that don't exist map to null.
+async function fetchCartProducts(shopify, items) {
+  const products = new Map();
+  const ids = [...new Set(items.filter(item => item.id).map(item => numericId(item.id)))];
+  const handles = [...new Set(items.filter(item => !item.id && item.handle).map(item => item.handle))];
+
+  const remember = (key, node) => {
+    const product = node?.id ? node : null;
+    products.set(key, product);
+    if (product) {
+      products.set(`id:${numericId(product.id)}`, product);
+      products.set(`handle:${product.handle}`, product);
+    }
+  };
+
+  const byIdsQuery = `
+    query cartProducts($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {${PRODUCT_FIELDS}}
+      }
+    }
+  `;
+  for (let i = 0; i < ids.length; i += PRODUCT_BATCH_SIZE) {
+    const batch = ids.slice(i, i + PRODUCT_BATCH_SIZE);
+    const data = await shopify.graphql(byIdsQuery, { ids: batch.map(id => `gid://shopify/Product/${id}`) });
+    batch.forEach((id, index) => remember(`id:${id}`, data?.nodes?.[index]));
+  }
+
+  const byHandleQuery = `
+    query cartProductByHandle($handle: String!) {
+      productByHandle(handle: $handle) {${PRODUCT_FIELDS}}
+    }
+  `;
+  for (const handle of handles) {
+    const data = await shopify.graphql(byHandleQuery, { handle });
+    remember(`handle:${handle}`, data?.productByHandle);
+  }
+
+  return products;
+}
+
+// Split wishlist items into cart lines and items that can't be added.
+// Returns { lines: [{ variant_id, quantity, items }], unavailable: [{ item, reason }] }
+// where reason is one of: product_not_found, product_unavailable, variant_required,
+// variant_not_found, sold_out.
+function planCart(items, products) {
+  const lines = [];
+  const unavailable = [];
+
+  for (const item of items) {
+    const product = item.id ? products.get(`id:${numericId(item.id)}`) : products.get(`handle:${item.handle}`);
+    if (!product) {
+      unavailable.push({ item, reason: 'product_not_found' });
+      continue;
+    }
+    if (product.status !== 'ACTIVE') {
+      unavailable.push({ item, reason: 'product_unavailable' });
+      continue;
+    }
+
+    const variants = product.variants.edges.map(edge => edge.node);
+    let variant;
+    if (item.variant_id) {
+      variant = variants.find(candidate => numericId(candidate.id) === String(item.variant_id));
+      if (!variant) {
+        unavailable.push({ item, reason: 'variant_not_found' });
+        continue;
+      }
+    } else if (variants.length === 1) {
+      variant = variants[0];
+    } else {
+      unavailable.push({ item, reason: 'variant_required' });
+      continue;
+    }
+
+    if (!variant.availableForSale) {
+      unavailable.push({ item, reason: 'sold_out' });
+      continue;
+    }
+
+    // The same variant may be wishlisted twice (by id and by handle); add the quantities up
+    const variantId = numericId(variant.id);
+    const existing = lines.find(line => line.variant_id === variantId);
+    if (existing) {
+      existing.quantity += item.quantity || 1;
+      existing.items.push(item);
+    } else {
+      lines.push({ variant_id: variantId, quantity: item.quantity || 1, items: [item] });
+    }
+  }
+
+  return { lines, unavailable };
+}
+
+// Cart permalink on the storefront, e.g. https://shop.example/cart/123:1,456:2
+function cartPermalink(storefrontUrl, lines) {
+  const base = storefrontUrl.replace(/\/+$/, '');
+  return `${base}/cart/${lines.map(line => `${line.variant_id}:${line.quantity}`).join(',')}`;
+}
+
+// Create a draft order for the customer; returns { id, invoice_url }
+async function createDraftOrder(shopify, customerId, lines) {
+  const mutation = `
+    mutation wishlistDraftOrder($input: DraftOrderInput!) {
+      draftOrderCreate(input: $input) {
+        draftOrder {
+          id
+          invoiceUrl
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await shopify.graphql(mutation, {
+    input: {
+      customerId: `gid://shopify/Customer/${customerId}`,
+      lineItems: lines.map(line => ({ variantId: `gid://shopify/ProductVariant/${line.variant_id}`, quantity: line.quantity })),
+      tags: ['wishlist']
+    }
+  });
+  const draftOrder = data.draftOrderCreate.draftOrder;
+  return { id: draftOrder.id, invoice_url: draftOrder.invoiceUrl };
+}
+
+module.exports = {
+  cartPermalink,
+  createDraftOrder,
+  fetchCartProducts,
+  planCart
+};
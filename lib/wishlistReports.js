@@ -0,0 +1,282 @@
+// lib/wishlistReports.js - Store-wide wishlist reports built from a Shopify bulk operation
+//
+// A report job runs bulkOperationRunQuery over every customer's custom.wishlist,
+// then, once Shopify has finished, downloads the JSONL result and produces:
+//   - a ranked product report: each product with how many customers wishlisted it,
+//   - a CSV export with one row per wishlist item (customer id, list, product, variant, ...).
+// Jobs move through running -> processing -> completed (or failed); nothing runs in the
+// background, the status route advances the job when it's polled.
+//
+// Job files live in REPORTS_DIR (default ./data/reports; use a writable path such as
+// /tmp/reports on read-only hosts), in a subdirectory per shop: <shop>/<job id>.json
+// and <shop>/<job id>.csv.
+// They hold customer data, so they're deleted REPORT_RETENTION_HOURS (default 72) after
+// the job was created, and customers/redact removes the customer's rows.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const wishlists = require('./wishlists');
+
+const DEFAULT_RETENTION_HOURS = 72;
+const CSV_COLUMNS = ['customer_id', 'list_id', 'list_name', 'product_id', 'handle', 'variant_id', 'quantity', 'priority', 'note', 'added_at'];
+
+const BULK_QUERY = `
+  {
+    customers {
+      edges {
+        node {
+          id
+          metafield(namespace: "${wishlists.WISHLIST_NAMESPACE}", key: "${wishlists.WISHLIST_KEY}") {
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Start the bulk query; returns the BulkOperation GID.
+// Shopify runs one bulk query per app and shop at a time, and says so with a user error.
+async function startBulkOperation(shopify) {
+  const mutation = `
+    mutation wishlistReportBulkQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await shopify.graphql(mutation, { query: BULK_QUERY });
+  return data.bulkOperationRunQuery.bulkOperation.id;
+}
+
+// { id, status, errorCode, objectCount, url } for a bulk operation
+async function fetchBulkOperation(shopify, id) {
+  const query = `
+    query wishlistReportBulkStatus($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+        }
+      }
+    }
+  `;
+  const data = await shopify.graphql(query, { id });
+  return data.node;
+}
+
+// Helper: one CSV field; quoted when it contains a separator, quote or newline.
+// A leading =, +, - or @ would be run as a formula by spreadsheet apps, so it's escaped with a quote.
+// Line breaks inside a value become plain \n, so \r\n only ever ends a row.
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value).replace(/\r\n?/g, '\n');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+// Read a finished bulk operation's JSONL result and write the CSV export to csvFile.
+// Returns { summary, products } where products are ranked by how many customers
+// wishlisted them: [{ product_id, handle, title, customers, items, quantity }].
+async function buildReport(resultUrl, csvFile) {
+  const products = new Map();
+  const summary = { customers_scanned: 0, customers_with_wishlists: 0, items: 0 };
+  const csv = fs.createWriteStream(csvFile);
+  const written = new Promise((resolve, reject) => csv.on('finish', resolve).on('error', reject));
+  // Awaited below; this only stops a stream error during the download going unhandled
+  written.catch(() => {});
+  let response;
+  let finished = false;
+
+  try {
+    csv.write(csvLine(CSV_COLUMNS));
+
+    // A bulk operation that matched nothing has no result file
+    if (resultUrl) {
+      response = await axios.get(resultUrl, { responseType: 'stream' });
+      for await (const line of readline.createInterface({ input: response.data, crlfDelay: Infinity })) {
+        if (!line.trim()) continue;
+        const customer = JSON.parse(line);
+        summary.customers_scanned++;
+        if (!customer.metafield) continue;
+
+        const customerId = customer.id.split('/').pop();
+        const doc = wishlists.parseWishlistDocument(customer.metafield.value);
+        let hasItems = false;
+
+        for (const list of doc.lists) {
+          for (const item of list.items) {
+            if (!item || (!item.id && !item.handle)) continue;
+            hasItems = true;
+            summary.items++;
+            csv.write(csvLine([
+              customerId, list.id, list.name, item.id, item.handle, item.variant_id,
+              item.quantity || 1, item.priority, item.note, item.added_at
+            ]));
+
+            // Items saved by handle only are counted under the handle
+            const key = item.id ? `id:${item.id}` : `handle:${item.handle}`;
+            if (!products.has(key)) {
+              products.set(key, { product_id: item.id ? String(item.id) : null, handle: item.handle || null, title: item.title || null, customers: new Set(), items: 0, quantity: 0 });
+            }
+            const product = products.get(key);
+            product.handle = product.handle || item.handle || null;
+            product.title = product.title || item.title || null;
+            product.customers.add(customerId);
+            product.items++;
+            product.quantity += item.quantity || 1;
+          }
+        }
+        if (hasItems) summary.customers_with_wishlists++;
+      }
+    }
+
+    csv.end();
+    await written;
+    finished = true;
+  } finally {
+    // Don't leave a partial CSV behind when the download or parsing fails
+    if (!finished) {
+      if (response) response.data.destroy();
+      csv.destroy();
+      await fs.promises.rm(csvFile, { force: true });
+    }
+  }
+
+  const ranked = [...products.values()]
+    .map(product => ({ ...product, customers: product.customers.size }))
+    .sort((a, b) => b.customers - a.customers || b.items - a.items);
+  summary.products = ranked.length;
+  return { summary, products: ranked };
+}
+
+// Report jobs on disk (see header)
+function createReportStore({ dir, retentionHours = DEFAULT_RETENTION_HOURS }) {
+  const jobFile = id => path.join(dir, `${id}.json`);
+  const csvFile = id => path.join(dir, `${id}.csv`);
+  const isJobId = id => typeof id === 'string' && /^[a-f0-9]{24}$/.test(id);
+
+  async function save(job) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    job.updated_at = new Date().toISOString();
+    const tmp = `${jobFile(job.id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(job));
+    await fs.promises.rename(tmp, jobFile(job.id));
+  }
+
+  async function create(fields) {
+    await purgeExpired();
+    const job = { id: crypto.randomBytes(12).toString('hex'), created_at: new Date().toISOString(), ...fields };
+    await save(job);
+    return job;
+  }
+
+  async function load(id) {
+    if (!isJobId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(jobFile(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const jobs = [];
+    for (const name of names.filter(n => /^[a-f0-9]{24}\.json$/.test(n))) {
+      const job = await load(name.slice(0, -5));
+      if (job) jobs.push(job);
+    }
+    return jobs.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async function removeJob(id) {
+    await fs.promises.rm(jobFile(id), { force: true });
+    await fs.promises.rm(csvFile(id), { force: true });
+  }
+
+  // Delete jobs past the retention period; returns how many were removed
+  async function purgeExpired() {
+    const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+    const expired = (await list()).filter(job => Date.parse(job.created_at) < cutoff);
+    for (const job of expired) await removeJob(job.id);
+    return expired.length;
+  }
+
+  // Delete every job (shop/redact); returns how many were removed
+  async function purge() {
+    const jobs = await list();
+    for (const job of jobs) await removeJob(job.id);
+    return jobs.length;
+  }
+
+  // Remove a customer's rows from every CSV export (customers/redact); returns how many rows were removed.
+  // The product report only holds counts, so it's left alone.
+  async function deleteCustomer(customerId) {
+    let removed = 0;
+    for (const job of await list()) {
+      let content;
+      try {
+        content = await fs.promises.readFile(csvFile(job.id), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+      const lines = content.split('\r\n');
+      const kept = lines.filter(line => !line.startsWith(`${customerId},`));
+      if (kept.length === lines.length) continue;
+      removed += lines.length - kept.length;
+      await fs.promises.writeFile(csvFile(job.id), kept.join('\r\n'));
+    }
+    return removed;
+  }
+
+  return { create, save, load, list, purge, purgeExpired, deleteCustomer, csvFile, dir };
+}
+
+// Build the per-shop stores from environment variables (see header); returns forShop(shop) -> store
+function createReportStoresFromEnv(env = process.env) {
+  const retentionHours = env.REPORT_RETENTION_HOURS === undefined ? DEFAULT_RETENTION_HOURS : Number(env.REPORT_RETENTION_HOURS);
+  if (!Number.isFinite(retentionHours) || retentionHours <= 0) {
+    throw new Error(`REPORT_RETENTION_HOURS must be a positive number of hours, got "${env.REPORT_RETENTION_HOURS}"`);
+  }
+  const dir = env.REPORTS_DIR || path.join(process.cwd(), 'data', 'reports');
+  const stores = new Map();
+
+  return function forShop(shop) {
+    if (!stores.has(shop)) stores.set(shop, createReportStore({ dir: path.join(dir, shop), retentionHours }));
+    return stores.get(shop);
+  };
+}
+
+module.exports = {
+  buildReport,
+  createReportStore,
+  createReportStoresFromEnv,
+  fetchBulkOperation,
+  startBulkOperation
+};
@@ -0,0 +1,445 @@
+// lib/wishlists.js - Named wishlists stored in the custom.wishlist metafield
+//
+// The metafield holds a document of the form:
+//   { "lists": [{ "id": "default", "name": "My Wishlist", "created_at": "...", "items": [...], "share": { "token", "created_at" } }] }
+// `share` is only present while the list has a public share link.
+// Items are product references: { id, handle, title, image } as far as they're
+// known, plus `variant_id` when a specific variant was saved, the desired
+// `quantity`, an optional `note` and `priority`, and `added_at`/`updated_at`.
+// The same product may appear once per variant.
+// Older values are a flat array of items; they are read as the default list
+// and written back in the document form on the next save.
+//
+// The metafield is stored with the `json` type. Values written before that
+// used `single_line_text_field`, which has a tight length limit; they are
+// still read, and are replaced by a `json` metafield the next time the
+// customer's wishlist is saved (or by `npm run migrate:wishlists`).
+// If the store has a metafield definition for custom.wishlist, its type must
+// be changed to JSON in the Shopify admin before migrating.
+
+const crypto = require('crypto');
+const { ShopifyError } = require('./shopify');
+
+const DEFAULT_LIST_ID = 'default';
+const DEFAULT_LIST_NAME = 'My Wishlist';
+const MAX_LISTS = 20;
+const MAX_LIST_NAME_LENGTH = 60;
+const MAX_ITEM_QUANTITY = 99;
+const MAX_ITEM_NOTE_LENGTH = 500;
+const ITEM_PRIORITIES = ['low', 'medium', 'high'];
+// Item fields the customer edits, as opposed to product data
+const ITEM_FIELDS = ['quantity', 'note', 'priority'];
+// Product data an item keeps from the product a client sends
+const PRODUCT_FIELDS = ['id', 'handle', 'title', 'image'];
+
+const WISHLIST_NAMESPACE = 'custom';
+const WISHLIST_KEY = 'wishlist';
+const WISHLIST_TYPE = 'json';
+const LEGACY_WISHLIST_TYPE = 'single_line_text_field';
+
+// One page of customers with their wishlist metafield, for scans over every customer ($after: page cursor)
+const CUSTOMERS_WITH_WISHLIST_QUERY = `
+  query customersWithWishlist($after: String) {
+    customers(first: 100, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          id
+          metafield(namespace: "${WISHLIST_NAMESPACE}", key: "${WISHLIST_KEY}") {
+            type
+            value
+            compareDigest
+          }
+        }
+      }
+    }
+  }
+`;
+
+class WishlistError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WishlistError';
+    this.status = status;
+  }
+}
+
+// Helper: normalize wishlist entries (strings -> objects)
+function normalizeWishlistEntries(list) {
+  return list.map(item => {
+    if (typeof item === 'string' || typeof item === 'number') {
+      return { id: String(item) };
+    } else if (item && typeof item === 'object') {
+      return item;
+    } else {
+      return item;
+    }
+  });
+}
+
+function createDefaultList(items = []) {
+  return { id: DEFAULT_LIST_ID, name: DEFAULT_LIST_NAME, created_at: null, items };
+}
+
+// Parse a raw metafield value into a wishlist document. Accepts the legacy
+// flat array, the document form, or nothing at all.
+function parseWishlistDocument(value) {
+  let parsed = null;
+  if (value) {
+    try { parsed = JSON.parse(value); } catch (e) { parsed = null; }
+  }
+
+  if (Array.isArray(parsed)) {
+    return { lists: [createDefaultList(normalizeWishlistEntries(parsed))] };
+  }
+
+  const lists = [];
+  if (parsed && Array.isArray(parsed.lists)) {
+    for (const list of parsed.lists) {
+      if (!list || typeof list !== 'object' || !list.id) continue;
+      lists.push({
+        id: String(list.id),
+        name: typeof list.name === 'string' && list.name ? list.name : DEFAULT_LIST_NAME,
+        created_at: list.created_at || null,
+        items: Array.isArray(list.items) ? normalizeWishlistEntries(list.items) : [],
+        ...(list.share && list.share.token ? { share: list.share } : {})
+      });
+    }
+  }
+
+  // The default list always exists, first in the document
+  const defaultIndex = lists.findIndex(l => l.id === DEFAULT_LIST_ID);
+  if (defaultIndex === -1) {
+    lists.unshift(createDefaultList());
+  } else if (defaultIndex > 0) {
+    lists.unshift(lists.splice(defaultIndex, 1)[0]);
+  }
+
+  return { lists };
+}
+
+function serializeWishlistDocument(doc) {
+  return JSON.stringify({ lists: doc.lists });
+}
+
+// Write the document to custom.wishlist as a `json` metafield.
+// `stored` describes the metafield as it was read: { type, value, digest },
+// all null when it didn't exist. The write is a compare-and-set against
+// `digest`, so it fails with a STALE_OBJECT user error (see isStaleWriteError)
+// if anything else wrote the wishlist in between. Returns the new `stored`.
+// Shopify won't change a metafield's type in place, so a legacy one is
+// deleted first and restored if the new write fails. The delete can't be
+// compare-and-set, so the value is re-read just before it: if another request
+// has already migrated or changed it, this write fails as stale instead of
+// deleting that request's value.
+async function writeWishlistMetafield(shopify, customerId, doc, stored = {}) {
+  const ownerId = `gid://shopify/Customer/${customerId}`;
+  const { type: storedType = null, value: previousValue = null, digest = null } = stored;
+
+  const setMutation = `
+    mutation setWishlist($metafields: [MetafieldsSetInput!]!) {
+      metafieldsSet(metafields: $metafields) {
+        metafields { type value compareDigest }
+        userErrors { field message code }
+      }
+    }
+  `;
+
+  const isLegacy = storedType && storedType !== WISHLIST_TYPE;
+  if (isLegacy) {
+    const currentQuery = `
+      query currentWishlist($id: ID!) {
+        customer(id: $id) {
+          metafield(namespace: "${WISHLIST_NAMESPACE}", key: "${WISHLIST_KEY}") { type value compareDigest }
+        }
+      }
+    `;
+    const current = (await shopify.graphql(currentQuery, { id: ownerId }))?.customer?.metafield;
+    const unchanged = current && current.type === storedType && current.value === previousValue &&
+      (!digest || current.compareDigest === digest);
+    if (!unchanged) {
+      throw new ShopifyError('USER_ERRORS', 'The wishlist was changed while it was being migrated', {
+        status: 409,
+        errors: [{ field: ['metafields', '0'], message: 'The wishlist was changed while it was being migrated', code: 'STALE_OBJECT' }]
+      });
+    }
+
+    const deleteMutation = `
+      mutation deleteLegacyWishlist($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields { key }
+          userErrors { field message }
+        }
+      }
+    `;
+    await shopify.graphql(deleteMutation, {
+      metafields: [{ ownerId, namespace: WISHLIST_NAMESPACE, key: WISHLIST_KEY }]
+    });
+    console.log(`🔄 Migrating wishlist of customer ${customerId} from ${storedType} to ${WISHLIST_TYPE}`);
+  }
+
+  try {
+    const data = await shopify.graphql(setMutation, {
+      metafields: [{
+        ownerId,
+        namespace: WISHLIST_NAMESPACE,
+        key: WISHLIST_KEY,
+        type: WISHLIST_TYPE,
+        value: serializeWishlistDocument(doc),
+        // null means "only if it doesn't exist yet", which is also true right after deleting a legacy value
+        compareDigest: isLegacy ? null : digest
+      }]
+    });
+    const written = data.metafieldsSet.metafields[0];
+    return { type: written.type, value: written.value, digest: written.compareDigest };
+  } catch (err) {
+    if (isLegacy && previousValue && !isStaleWriteError(err)) {
+      console.error(`❌ Writing migrated wishlist failed for customer ${customerId}, restoring ${storedType} value`);
+      await shopify.graphql(setMutation, {
+        metafields: [{ ownerId, namespace: WISHLIST_NAMESPACE, key: WISHLIST_KEY, type: storedType, value: previousValue }]
+      }).catch(restoreErr => {
+        console.error(`❌ Could not restore wishlist for customer ${customerId}:`, previousValue, restoreErr.message);
+      });
+    }
+    throw err;
+  }
+}
+
+// Helper: summary of a list without its items
+function describeList(list) {
+  return { id: list.id, name: list.name, created_at: list.created_at, item_count: list.items.length, shared: Boolean(list.share) };
+}
+
+function findList(doc, listId) {
+  const id = listId ? String(listId) : DEFAULT_LIST_ID;
+  const list = doc.lists.find(l => l.id === id);
+  if (!list) throw new WishlistError(404, `Wishlist "${id}" not found`);
+  return list;
+}
+
+function validateListName(doc, name, ignoreId) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new WishlistError(400, 'name is required');
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_LIST_NAME_LENGTH) {
+    throw new WishlistError(400, `name must be at most ${MAX_LIST_NAME_LENGTH} characters`);
+  }
+  const taken = doc.lists.some(l => l.id !== ignoreId && l.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) {
+    throw new WishlistError(409, `A wishlist named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+function createList(doc, name) {
+  if (doc.lists.length >= MAX_LISTS) {
+    throw new WishlistError(400, `A customer can have at most ${MAX_LISTS} wishlists`);
+  }
+  const list = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: validateListName(doc, name),
+    created_at: new Date().toISOString(),
+    items: []
+  };
+  doc.lists.push(list);
+  return list;
+}
+
+function renameList(doc, listId, name) {
+  const list = findList(doc, listId);
+  list.name = validateListName(doc, name, list.id);
+  return list;
+}
+
+function deleteList(doc, listId) {
+  const list = findList(doc, listId);
+  if (list.id === DEFAULT_LIST_ID) {
+    throw new WishlistError(400, 'The default wishlist cannot be deleted');
+  }
+  doc.lists = doc.lists.filter(l => l.id !== list.id);
+  return list;
+}
+
+// Helper: variant ID from a number, numeric string or ProductVariant GID; null when not given
+function parseVariantId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const id = String(value).split('/').pop();
+  if (!/^\d+$/.test(id)) throw new WishlistError(400, 'variant_id must be a product variant ID');
+  return id;
+}
+
+// Validate the item fields present in `input` ({ quantity, note, priority }).
+// Returns only the fields that were sent; null (or "") clears note and priority.
+function validateItemFields(input) {
+  const fields = {};
+
+  if (input.quantity !== undefined) {
+    const quantity = Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_ITEM_QUANTITY) {
+      throw new WishlistError(400, `quantity must be a whole number from 1 to ${MAX_ITEM_QUANTITY}`);
+    }
+    fields.quantity = quantity;
+  }
+
+  if (input.note !== undefined) {
+    if (input.note !== null && typeof input.note !== 'string') {
+      throw new WishlistError(400, 'note must be a string');
+    }
+    const note = (input.note || '').trim();
+    if (note.length > MAX_ITEM_NOTE_LENGTH) {
+      throw new WishlistError(400, `note must be at most ${MAX_ITEM_NOTE_LENGTH} characters`);
+    }
+    fields.note = note || null;
+  }
+
+  if (input.priority !== undefined) {
+    if (input.priority !== null && input.priority !== '' && !ITEM_PRIORITIES.includes(input.priority)) {
+      throw new WishlistError(400, `priority must be one of: ${ITEM_PRIORITIES.join(', ')}`);
+    }
+    fields.priority = input.priority || null;
+  }
+
+  return fields;
+}
+
+// Helper: do two items refer to the same product (by handle, then id) and the same variant?
+function sameItem(a, b) {
+  if (!a || !b) return false;
+  if (String(a.variant_id || '') !== String(b.variant_id || '')) return false;
+  if (a.handle && b.handle) return a.handle === b.handle;
+  if (a.id && b.id) return String(a.id) === String(b.id);
+  return false;
+}
+
+// Items left after removing a product (matched by handle, then id). With a
+// variant_id only that variant's item goes, otherwise every item for the product.
+function removeItems(items, { id, handle, variant_id }) {
+  return items.filter(item => {
+    if (variant_id && String(item.variant_id || '') !== String(variant_id)) return true;
+    if (handle && item.handle) return item.handle !== handle;
+    if (id && item.id) return String(item.id) !== String(id);
+    // Items that don't carry the removal keys are kept
+    return true;
+  });
+}
+
+// Helper: the product data an item stores; other keys (such as item fields, which must go
+// through validateItemFields) are dropped
+function productFields(product) {
+  const fields = {};
+  for (const field of PRODUCT_FIELDS) {
+    const value = product?.[field];
+    if (typeof value === 'string' || typeof value === 'number') fields[field] = String(value);
+  }
+  return fields;
+}
+
+// Build a new item from product data, an optional variant ID and validated item fields
+function createItem(product, variantId, fields = {}) {
+  const now = new Date().toISOString();
+  const item = { ...productFields(product), ...(variantId && { variant_id: variantId }), quantity: 1, added_at: now, updated_at: now };
+  return updateItem(item, fields, now);
+}
+
+// Apply validated item fields (null removes a field) and bump updated_at
+function updateItem(item, fields, now = new Date().toISOString()) {
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) delete item[field];
+    else item[field] = value;
+  }
+  item.updated_at = now;
+  return item;
+}
+
+// Helper: how an item is identified in audit entries ("<product id or handle>" or "...:<variant id>")
+function itemKey(item) {
+  const product = String(item?.id || item?.handle || '');
+  return item?.variant_id ? `${product}:${item.variant_id}` : product;
+}
+
+// Field-level changes between two documents, for the audit trail:
+// [{ field, old_value, new_value }] with fields like "wishlist.<list id>.items"
+// or "wishlist.<list id>.items.<item key>.note".
+// Product details filled in later (titles, images) are not changes.
+// Share tokens are secrets, so only the time a link was created is recorded.
+function diffDocuments(before, after) {
+  const changes = [];
+  const beforeLists = new Map(before.lists.map(list => [list.id, list]));
+  const afterLists = new Map(after.lists.map(list => [list.id, list]));
+
+  for (const [id, list] of beforeLists) {
+    if (!afterLists.has(id)) changes.push({ field: `wishlist.${id}`, old_value: list.name, new_value: null });
+  }
+
+  for (const [id, list] of afterLists) {
+    const previous = beforeLists.get(id);
+    if (!previous) {
+      changes.push({ field: `wishlist.${id}`, old_value: null, new_value: list.name });
+    } else if (previous.name !== list.name) {
+      changes.push({ field: `wishlist.${id}.name`, old_value: previous.name, new_value: list.name });
+    }
+
+    const beforeItems = new Map((previous?.items || []).map(item => [itemKey(item), item]));
+    const afterItems = new Map(list.items.map(item => [itemKey(item), item]));
+    for (const [key, item] of afterItems) {
+      const previousItem = beforeItems.get(key);
+      if (!previousItem) {
+        changes.push({ field: `wishlist.${id}.items`, old_value: null, new_value: key });
+        continue;
+      }
+      for (const field of ITEM_FIELDS) {
+        if (previousItem[field] !== item[field]) {
+          changes.push({ field: `wishlist.${id}.items.${key}.${field}`, old_value: previousItem[field], new_value: item[field] });
+        }
+      }
+    }
+    for (const key of beforeItems.keys()) {
+      if (!afterItems.has(key)) changes.push({ field: `wishlist.${id}.items`, old_value: key, new_value: null });
+    }
+
+    const beforeShare = previous?.share?.created_at || null;
+    const afterShare = list.share?.created_at || null;
+    if (beforeShare !== afterShare) {
+      changes.push({ field: `wishlist.${id}.share`, old_value: beforeShare, new_value: afterShare });
+    }
+  }
+
+  return changes;
+}
+
+// Helper: true when a write failed because the wishlist changed since it was read
+function isStaleWriteError(err) {
+  return err?.type === 'USER_ERRORS' && err.errors.some(e => e.code === 'STALE_OBJECT');
+}
+
+module.exports = {
+  CUSTOMERS_WITH_WISHLIST_QUERY,
+  DEFAULT_LIST_ID,
+  LEGACY_WISHLIST_TYPE,
+  WISHLIST_KEY,
+  WISHLIST_NAMESPACE,
+  WISHLIST_TYPE,
+  WishlistError,
+  createItem,
+  createList,
+  deleteList,
+  describeList,
+  diffDocuments,
+  findList,
+  isStaleWriteError,
+  normalizeWishlistEntries,
+  parseVariantId,
+  parseWishlistDocument,
+  productFields,
+  removeItems,
+  renameList,
+  sameItem,
+  serializeWishlistDocument,
+  updateItem,
+  validateItemFields,
+  writeWishlistMetafield
+};
@@ -0,0 +1,182 @@
+// scripts/cleanup-profile-images.js - Delete profile image files no customer references
+//
+// Uploads are named profile_<customer id>_<time>..., so each file can be
+// checked against that customer's profile_image and profile_image_variants
+// metafields (in the profile schema's namespace). Files nothing points at
+// (failed cleanups, abandoned uploads, deleted customers, images replaced by a
+// new upload) are removed. Recent files are skipped so uploads still in progress are left alone,
+// and so are the files of customers whose current image isn't READY yet: the
+// image it replaced is kept until the new one is confirmed.
+//
+// Usage:
+//   npm run cleanup:profile-images                          # delete orphaned files on every installed shop
+//   npm run cleanup:profile-images -- --dry-run             # only report them
+//   npm run cleanup:profile-images -- --min-age-hours=6     # grace period (default 24)
+//   npm run cleanup:profile-images -- --shop=example.myshopify.com  # one shop only
+
+require('dotenv').config();
+const { shopsForScript } = require('../lib/shops');
+const profileImages = require('../lib/profileImages');
+const { loadProfileSchema } = require('../lib/profileSchema');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const MIN_AGE_HOURS = Number((process.argv.find(arg => arg.startsWith('--min-age-hours=')) || '=24').split('=')[1]);
+// Shopify's nodes(ids:) accepts at most 250 IDs per query
+const BATCH_SIZE = 250;
+// The profile image metafields live in the profile schema's namespace
+const PROFILE_NAMESPACE = loadProfileSchema().namespace;
+
+if (!Number.isFinite(MIN_AGE_HOURS) || MIN_AGE_HOURS < 0) {
+  console.error('❌ ERROR: --min-age-hours must be a number of hours (0 or more)');
+  process.exit(1);
+}
+
+const FILES_QUERY = `
+  query profileImageFiles($after: String) {
+    files(first: 250, after: $after, query: "filename:profile_* AND media_type:IMAGE") {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          id
+          createdAt
+          ... on MediaImage {
+            image {
+              url
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const CUSTOMERS_QUERY = `
+  query customerProfileImages($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Customer {
+        id
+        image: metafield(namespace: "${PROFILE_NAMESPACE}", key: "${profileImages.PROFILE_IMAGE_KEY}") {
+          value
+          reference {
+            ... on MediaImage {
+              fileStatus
+            }
+          }
+        }
+        variants: metafield(namespace: "${PROFILE_NAMESPACE}", key: "${profileImages.PROFILE_IMAGE_VARIANTS_KEY}") {
+          value
+        }
+      }
+    }
+  }
+`;
+
+// Files uploaded by this app, grouped by customer ID
+async function findUploadedFiles(shopify, stats) {
+  const byCustomer = new Map();
+  const cutoff = Date.now() - MIN_AGE_HOURS * 60 * 60 * 1000;
+  let after = null;
+
+  do {
+    const data = await shopify.graphql(FILES_QUERY, { after });
+    const page = data.files;
+
+    for (const { node } of page.edges) {
+      // Images still processing have no URL yet; they're recent anyway
+      const customerId = profileImages.customerIdFromFilename(node.image?.url);
+      if (!customerId) continue;
+      stats.scanned++;
+
+      if (new Date(node.createdAt).getTime() > cutoff) {
+        stats.tooRecent++;
+        continue;
+      }
+      if (!byCustomer.has(customerId)) byCustomer.set(customerId, []);
+      byCustomer.get(customerId).push(node);
+    }
+
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return byCustomer;
+}
+
+// File IDs still referenced by each customer's profile image metafields, and the
+// customers whose current image is still processing (or failed)
+async function findReferencedFiles(shopify, customerIds) {
+  const referenced = new Set();
+  const notReady = new Set();
+
+  for (let i = 0; i < customerIds.length; i += BATCH_SIZE) {
+    const ids = customerIds.slice(i, i + BATCH_SIZE).map(id => `gid://shopify/Customer/${id}`);
+    const data = await shopify.graphql(CUSTOMERS_QUERY, { ids });
+    for (const customer of data.nodes) {
+      if (!customer) continue;
+      profileImages.profileImageFileIds(customer.image, customer.variants).forEach(id => referenced.add(id));
+      const status = customer.image?.reference?.fileStatus;
+      if (status && status !== 'READY') notReady.add(customer.id.split('/').pop());
+    }
+  }
+
+  return { referenced, notReady };
+}
+
+async function cleanup(shop, shopify) {
+  const stats = { scanned: 0, tooRecent: 0, referenced: 0, waiting: 0, orphaned: 0, deleted: 0, failed: 0 };
+
+  console.log(`🚀 Looking for orphaned profile images on ${shop}${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  const byCustomer = await findUploadedFiles(shopify, stats);
+  const { referenced, notReady } = await findReferencedFiles(shopify, [...byCustomer.keys()]);
+
+  const orphans = [];
+  for (const [customerId, files] of byCustomer) {
+    for (const file of files) {
+      if (referenced.has(file.id)) {
+        stats.referenced++;
+        continue;
+      }
+      if (notReady.has(customerId)) {
+        stats.waiting++;
+        continue;
+      }
+      stats.orphaned++;
+      orphans.push(file.id);
+      console.log(`📝 ${DRY_RUN ? 'Would delete' : 'Deleting'} ${file.id} (customer ${customerId}, created ${file.createdAt})`);
+    }
+  }
+
+  if (!DRY_RUN) {
+    for (let i = 0; i < orphans.length; i += 100) {
+      const batch = orphans.slice(i, i + 100);
+      try {
+        const deleted = await profileImages.deleteFiles(shopify, batch);
+        stats.deleted += deleted.length;
+        stats.failed += batch.length - deleted.length;
+      } catch (err) {
+        console.error('❌ Failed to delete files:', err.errors || err.message);
+        stats.failed += batch.length;
+      }
+    }
+  }
+
+  console.log(`📊 Cleanup finished on ${shop}:`, stats);
+  if (stats.failed > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const targets = await shopsForScript();
+  if (targets.length === 0) {
+    console.error('❌ ERROR: no shops found; set SHOP_NAME and ACCESS_TOKEN or install the app on a store');
+    process.exit(1);
+  }
+  for (const { shop, shopify } of targets) await cleanup(shop, shopify);
+}
+
+main().catch(err => {
+  console.error('❌ Cleanup aborted:', err.errors || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// scripts/migrate-wishlists.js - Rewrite legacy custom.wishlist values as json metafields
+//
+// Usage:
+//   npm run migrate:wishlists             # migrate every customer of every installed shop
+//   npm run migrate:wishlists -- --dry-run  # only report what would change
+//   npm run migrate:wishlists -- --shop=example.myshopify.com  # one shop only
+
+require('dotenv').config();
+const { shopsForScript } = require('../lib/shops');
+const wishlists = require('../lib/wishlists');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function migrate(shop, shopify) {
+  const stats = { scanned: 0, migrated: 0, alreadyJson: 0, failed: 0 };
+  let after = null;
+
+  console.log(`🚀 Migrating wishlists on ${shop}${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  do {
+    const data = await shopify.graphql(wishlists.CUSTOMERS_WITH_WISHLIST_QUERY, { after });
+    const page = data.customers;
+
+    for (const { node } of page.edges) {
+      stats.scanned++;
+      const metafield = node.metafield;
+      if (!metafield) continue;
+
+      if (metafield.type === wishlists.WISHLIST_TYPE) {
+        stats.alreadyJson++;
+        continue;
+      }
+
+      const customerId = node.id.split('/').pop();
+      const doc = wishlists.parseWishlistDocument(metafield.value);
+      const itemCount = doc.lists.reduce((sum, list) => sum + list.items.length, 0);
+
+      if (DRY_RUN) {
+        console.log(`📝 Would migrate customer ${customerId} (${metafield.type}, ${itemCount} items)`);
+        stats.migrated++;
+        continue;
+      }
+
+      try {
+        await wishlists.writeWishlistMetafield(shopify, customerId, doc, {
+          type: metafield.type,
+          value: metafield.value,
+          digest: metafield.compareDigest
+        });
+        console.log(`✅ Migrated customer ${customerId} (${itemCount} items)`);
+        stats.migrated++;
+      } catch (err) {
+        console.error(`❌ Failed to migrate customer ${customerId}:`, err.errors || err.message);
+        stats.failed++;
+      }
+    }
+
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  console.log(`📊 Migration finished on ${shop}:`, stats);
+  if (stats.failed > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const targets = await shopsForScript();
+  if (targets.length === 0) {
+    console.error('❌ ERROR: no shops found; set SHOP_NAME and ACCESS_TOKEN or install the app on a store');
+    process.exit(1);
+  }
+  for (const { shop, shopify } of targets) await migrate(shop, shopify);
+}
+
+main().catch(err => {
+  console.error('❌ Migration aborted:', err.errors || err.message);
+  process.exit(1);
+});
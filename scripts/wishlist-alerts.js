@@ -0,0 +1,192 @@
+// scripts/wishlist-alerts.js - Price-drop and back-in-stock alerts for wishlisted products
+//
+// Meant to run on a schedule (cron, Vercel cron, ...). Snapshots every
+// wishlisted product, compares it with the last run and notifies each
+// affected customer once per run; see lib/wishlistAlerts.js for the
+// configuration. Items saved by handle only are skipped until the storefront
+// has filled in their product id.
+//
+// Usage:
+//   npm run alerts:wishlists              # snapshot, detect and notify on every installed shop
+//   npm run alerts:wishlists -- --dry-run  # only report alerts; nothing is sent or saved
+//   npm run alerts:wishlists -- --shop=example.myshopify.com  # one shop only
+
+require('dotenv').config();
+const { shopsForScript } = require('../lib/shops');
+const wishlists = require('../lib/wishlists');
+const wishlistAlerts = require('../lib/wishlistAlerts');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+let options;
+try {
+  options = wishlistAlerts.alertOptionsFromEnv();
+} catch (err) {
+  console.error(`❌ ERROR: ${err.message}`);
+  process.exit(1);
+}
+if (!DRY_RUN && !options.webhookUrl && !options.tagPrefix) {
+  console.error('❌ ERROR: set WISHLIST_ALERT_WEBHOOK_URL and/or WISHLIST_ALERT_TAG_PREFIX');
+  process.exit(1);
+}
+
+const PRODUCTS_QUERY = `
+  query wishlistedProducts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        handle
+        title
+        priceRangeV2 {
+          minVariantPrice {
+            currencyCode
+          }
+        }
+        variants(first: 100) {
+          edges {
+            node {
+              id
+              price
+              availableForSale
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// product id -> Map(customer id -> Map(variant id, or '' for the whole product -> Set of list ids holding it))
+async function findWishlistedProducts(shopify, stats) {
+  const products = new Map();
+  let after = null;
+
+  do {
+    const data = await shopify.graphql(wishlists.CUSTOMERS_WITH_WISHLIST_QUERY, { after });
+    const page = data.customers;
+
+    for (const { node } of page.edges) {
+      if (!node.metafield) continue;
+      stats.customers++;
+      const customerId = node.id.split('/').pop();
+      const doc = wishlists.parseWishlistDocument(node.metafield.value);
+
+      for (const list of doc.lists) {
+        for (const item of list.items) {
+          if (!item?.id) {
+            stats.skippedHandleOnly++;
+            continue;
+          }
+          const productId = String(item.id);
+          if (!products.has(productId)) products.set(productId, new Map());
+          const customers = products.get(productId);
+          if (!customers.has(customerId)) customers.set(customerId, new Map());
+          const variants = customers.get(customerId);
+          const variantId = item.variant_id ? String(item.variant_id) : '';
+          if (!variants.has(variantId)) variants.set(variantId, new Set());
+          variants.get(variantId).add(list.id);
+        }
+      }
+    }
+
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return products;
+}
+
+// Current snapshots for the given product ids; deleted products are left out
+async function snapshotProducts(shopify, productIds) {
+  const current = {};
+
+  for (let i = 0; i < productIds.length; i += wishlistAlerts.PRODUCT_BATCH_SIZE) {
+    const ids = productIds.slice(i, i + wishlistAlerts.PRODUCT_BATCH_SIZE).map(id => `gid://shopify/Product/${id}`);
+    const data = await shopify.graphql(PRODUCTS_QUERY, { ids });
+    for (const node of data.nodes) {
+      if (!node?.id) continue;
+      current[node.id.split('/').pop()] = wishlistAlerts.snapshotProduct(node);
+    }
+  }
+
+  return current;
+}
+
+async function run(shop, shopify) {
+  const stats = { customers: 0, products: 0, skippedHandleOnly: 0, alerts: 0, notified: 0, failed: 0 };
+  const snapshots = wishlistAlerts.createSnapshotStore(options.snapshotFile, shop);
+
+  console.log(`🚀 Checking wishlisted products on ${shop}${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  const wishlisted = await findWishlistedProducts(shopify, stats);
+  stats.products = wishlisted.size;
+
+  const previous = await snapshots.load();
+  const current = await snapshotProducts(shopify, [...wishlisted.keys()]);
+
+  // Group every product's alerts by the customers who wishlisted it
+  const events = new Map();
+  for (const [productId, customers] of wishlisted) {
+    const snapshot = current[productId];
+    const alertsByVariant = new Map();
+    const detect = variantId => {
+      if (!alertsByVariant.has(variantId)) {
+        const alerts = wishlistAlerts.detectProductAlerts(previous[productId], snapshot, options, variantId || null);
+        if (alerts.length > 0) {
+          stats.alerts += alerts.length;
+          console.log(`📝 Product ${productId}${variantId ? ` variant ${variantId}` : ''} (${snapshot.handle}): ${alerts.map(alert => alert.type).join(', ')}`);
+        }
+        alertsByVariant.set(variantId, alerts);
+      }
+      return alertsByVariant.get(variantId);
+    };
+
+    for (const [customerId, variants] of customers) {
+      for (const [variantId, listIds] of variants) {
+        for (const alert of detect(variantId)) {
+          if (!events.has(customerId)) events.set(customerId, { shop, customer_id: customerId, alerts: [] });
+          events.get(customerId).alerts.push({
+            ...alert,
+            product_id: productId,
+            variant_id: variantId || null,
+            handle: snapshot.handle,
+            title: snapshot.title,
+            list_ids: [...listIds]
+          });
+        }
+      }
+    }
+  }
+
+  if (!DRY_RUN) {
+    for (const event of events.values()) {
+      try {
+        await wishlistAlerts.deliverAlerts(shopify, event, options);
+        stats.notified++;
+      } catch (err) {
+        console.error(`❌ Failed to notify customer ${event.customer_id}:`, err.errors || err.message);
+        stats.failed++;
+      }
+    }
+
+    // Failed deliveries aren't retried (the exit code reports them), so nobody is alerted twice.
+    // Products no longer on any wishlist drop out of the snapshot.
+    await snapshots.save(current);
+  }
+
+  console.log(`📊 Wishlist alerts finished on ${shop}:`, stats);
+  if (stats.failed > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const targets = await shopsForScript();
+  if (targets.length === 0) {
+    console.error('❌ ERROR: no shops found; set SHOP_NAME and ACCESS_TOKEN or install the app on a store');
+    process.exit(1);
+  }
+  for (const { shop, shopify } of targets) await run(shop, shopify);
+}
+
+main().catch(err => {
+  console.error('❌ Wishlist alerts aborted:', err.errors || err.message);
+  process.exit(1);
+});
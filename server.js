@@ -4,59 +4,128 @@ const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
 const FormData = require('form-data');
+const busboy = require('busboy');
 require('dotenv').config();
+const { requireAdmin, requireCustomer, requestedShop } = require('./lib/auth');
+const { ShopifyError } = require('./lib/shopify');
+const { createShopRegistryFromEnv, parseShopDomain } = require('./lib/shops');
+const { createOAuthFromEnv } = require('./lib/oauth');
+const wishlists = require('./lib/wishlists');
+const shareTokens = require('./lib/shareTokens');
+const { createProductCacheFromEnv } = require('./lib/productCache');
+const { createWebhookReceiver, registerWebhooks } = require('./lib/webhooks');
+const { createComplianceStore } = require('./lib/compliance');
+const { loadProfileSchema } = require('./lib/profileSchema');
+const images = require('./lib/images');
+const avatar = require('./lib/avatar');
+const profileImages = require('./lib/profileImages');
+const wishlistCart = require('./lib/wishlistCart');
+const guestWishlists = require('./lib/guestWishlists');
+const wishlistReports = require('./lib/wishlistReports');
+const { createAuditLogFromEnv } = require('./lib/audit');
 
 const app = express();
 
 // ============================================
 // CONFIGURATION
 // ============================================
-const SHOP_NAME = process.env.SHOP_NAME;
-const ACCESS_TOKEN = process.env.ACCESS_TOKEN;
-const API_VERSION = process.env.API_VERSION || '2024-10';
 const PORT = process.env.PORT || 3000;
+// Public base URL of this server, for the OAuth redirect and webhook subscriptions
+const APP_URL = process.env.APP_URL;
+// Topics every installed shop is subscribed to; the privacy topics are set in the Partner Dashboard
+const APP_WEBHOOK_TOPICS = ['products/update', 'products/delete', 'app/uninstalled'];
+const WISHLIST_WRITE_ATTEMPTS = Number(process.env.WISHLIST_WRITE_ATTEMPTS || 4);
+// Request bodies are small JSON; profile images go through their own parser (see the upload route)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '100kb';
+// Shopify's nodes(ids:) accepts at most 250 IDs per query
+const PRODUCT_BATCH_SIZE = 250;
+// After an upload, how long (and how often) to check whether Shopify has finished processing the new image
+const REPLACED_IMAGE_WAIT_MS = 60 * 1000;
+const REPLACED_IMAGE_POLL_MS = 2000;
+
+// Stores install the app through OAuth; SHOP_NAME and ACCESS_TOKEN still serve a single store without it
+const shops = createShopRegistryFromEnv();
+const oauth = createOAuthFromEnv(process.env, { registry: shops, onInstall: setUpInstalledShop });
 
 // Validate environment variables
-if (!SHOP_NAME || !ACCESS_TOKEN) {
-  console.error('❌ ERROR: Missing required environment variables!');
-  console.error('Please check your .env file and ensure these are set:');
-  console.error('  - SHOP_NAME');
-  console.error('  - ACCESS_TOKEN');
+if (!shops.defaultShop && !oauth) {
+  console.error('❌ ERROR: No Shopify store is configured!');
+  console.error('Please check your .env file and set either:');
+  console.error('  - SHOPIFY_API_KEY, SHOPIFY_API_SECRET and APP_URL, so stores can install the app');
+  console.error('  - SHOP_NAME and ACCESS_TOKEN, to serve a single store');
   process.exit(1);
 }
 
+// Every call goes to the Shopify client of the shop the current request is for (see the shop context middleware)
+const shopify = shops.client;
+const productCache = createProductCacheFromEnv(process.env, { scope: () => shops.current()?.shop });
+const webhooks = createWebhookReceiver({
+  // Webhooks created from the Shopify admin are signed with a separate key; app webhooks use the app secret
+  secret: process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET,
+  // With OAuth any installed shop may send webhooks; a single-store deployment only accepts its own
+  shopDomain: oauth ? null : shops.defaultShop,
+  withShop: async (shop, run) => shops.run(await shops.contextFor(shop), run)
+});
+const compliance = createComplianceStore();
+const profileSchema = loadProfileSchema();
+const imageOptions = images.imageOptionsFromEnv();
+const avatarOptions = avatar.avatarOptionsFromEnv();
+const auditLog = createAuditLogFromEnv();
+const guestWishlistStores = guestWishlists.createGuestWishlistStoresFromEnv();
+const reportStores = wishlistReports.createReportStoresFromEnv();
+// A base64 data URL is a third larger than the image, plus the JSON around it
+const BASE64_IMAGE_BODY_LIMIT = Math.ceil(imageOptions.maxBytes * 4 / 3) + 16 * 1024;
+
+if (!process.env.SHOPIFY_API_SECRET) {
+  console.warn('⚠️  WARNING: SHOPIFY_API_SECRET is not set - customer routes will reject every request');
+}
+
 // ============================================
 // MIDDLEWARE
 // ============================================
 
 // Enhanced CORS for Vercel deployment
+const DEV_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+// Customer account UI extensions run on Shopify's CDN and sign in with a session token, never cookies
+const EXTENSION_ORIGIN = 'https://extensions.shopifycdn.com';
 const corsOptions = {
   origin: function (origin, callback) {
     // Allow requests with no origin (mobile apps, Postman, etc.)
     if (!origin) return callback(null, true);
-    
-    // Allow your Shopify store and common development origins
-    const allowedOrigins = [
-      `https://${SHOP_NAME}`,
-      `https://${SHOP_NAME.replace('.myshopify.com', '')}.myshopify.com`,
-      'http://localhost:3000',
-      'http://127.0.0.1:3000'
-    ];
-    
-    if (allowedOrigins.indexOf(origin) !== -1 || origin.endsWith('.myshopify.com')) {
-      callback(null, true);
-    } else {
-      callback(null, true); // Allow all origins for now, restrict later if needed
-    }
+    if (DEV_ORIGINS.includes(origin)) return callback(null, true);
+
+    // Installed stores' myshopify.com and storefront domains; other origins get no CORS headers
+    shops.isAllowedOrigin(origin).then(allowed => callback(null, allowed), callback);
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Api-Key', 'X-Guest-Token', 'X-Shopify-Shop-Domain']
 };
+const extensionCorsOptions = { ...corsOptions, origin: EXTENSION_ORIGIN, credentials: false };
+
+// Helper: whether a request sends an Authorization header (for a preflight: asks to send one)
+function sendsAuthorization(req) {
+  if (req.method === 'OPTIONS') return /(^|,)\s*authorization\s*(,|$)/i.test(req.get('Access-Control-Request-Headers') || '');
+  return Boolean(req.get('Authorization'));
+}
 
-app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' })); // Increase limit for base64 images
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Behind Vercel or another proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// The extension origin is only let through on token-authenticated requests
+app.use(cors((req, callback) => {
+  callback(null, req.get('Origin') === EXTENSION_ORIGIN && sendsAuthorization(req) ? extensionCorsOptions : corsOptions);
+}));
+// Webhooks need the raw body for HMAC verification, so they're mounted before the JSON parser
+app.use('/webhooks', webhooks.router);
+// OAuth install: /auth and /auth/callback
+if (oauth) app.use(oauth.router);
+// The image upload route parses its own (larger) JSON body, so skip it here
+const jsonBodyParser = express.json({ limit: JSON_BODY_LIMIT });
+app.use((req, res, next) => (req.path === '/upload-profile-image' ? next() : jsonBodyParser(req, res, next)));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Request logging
 app.use((req, res, next) => {
@@ -64,46 +133,251 @@ app.use((req, res, next) => {
   next();
 });
 
-// Helper: normalize wishlist entries (strings -> objects)
-function normalizeWishlistEntries(list) {
-  return list.map(item => {
-    if (typeof item === 'string' || typeof item === 'number') {
-      return { id: String(item) };
-    } else if (item && typeof item === 'object') {
-      return item;
-    } else {
-      return item;
+// Shop context: each request is for the shop it names (see requestedShop in lib/auth.js),
+// or the SHOP_NAME store when it names none. Routes below run with that shop's credentials.
+const SHOPLESS_PATHS = ['/', '/health'];
+app.use(async (req, res, next) => {
+  if (SHOPLESS_PATHS.includes(req.path)) return next();
+
+  try {
+    const requested = requestedShop(req);
+    const shop = requested ? parseShopDomain(requested) : shops.defaultShop;
+    if (!shop) {
+      const error = requested ? 'Invalid shop domain' : 'No shop given: send X-Shopify-Shop-Domain or ?shop=<shop>.myshopify.com';
+      return res.status(400).json({ success: false, error });
+    }
+
+    const context = await shops.contextFor(shop);
+    if (!context.shopify) {
+      console.warn(`🔒 Rejected ${req.method} ${req.path}: app is not installed on ${shop}`);
+      return res.status(401).json({ success: false, error: 'The app is not installed on this shop' });
     }
+
+    req.shopDomain = shop;
+    shops.run(context, next);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Helper: the current shop's guest wishlists and report jobs
+const guestWishlistStore = () => guestWishlistStores(shops.current().shop);
+const reportStore = () => reportStores(shops.current().shop);
+
+// Helper: subscribe a newly installed shop to the app's webhooks (called by the OAuth callback)
+async function setUpInstalledShop(record) {
+  const context = await shops.contextFor(record.shop);
+  const created = await registerWebhooks(context.shopify, APP_URL, APP_WEBHOOK_TOPICS);
+  console.log(`📮 Subscribed ${record.shop} to ${created.length} webhook topic(s)`);
+}
+
+
+// Helper: who is making a customer route's changes, for the audit trail
+function auditContext(req) {
+  return { customerId: req.customerId, actor: req.actor, ip: req.ip || null, route: `${req.method} ${req.path}` };
+}
+
+// Helper: record changes ([{ field, old_value, new_value }]) in the audit trail.
+// The change itself has already been made, so a failing audit store is only logged.
+async function recordAudit(context, changes) {
+  try {
+    await auditLog.record({ shop: shops.current()?.shop, ...context }, changes);
+  } catch (err) {
+    console.error(`❌ Failed to write audit entries for customer ${context.customerId}:`, err.message);
+  }
+}
+
+// Helper: send a consistent error response from a route's catch block
+function sendRouteError(res, err, context) {
+  if (err instanceof ShopifyError) {
+    console.error(`❌ ${context}:`, err.type, err.errors.length > 0 ? err.errors : err.message);
+    return res.status(err.status).json({
+      success: false,
+      type: err.type,
+      error: err.errors.length > 0 ? err.errors : err.message
+    });
+  }
+  if (err instanceof wishlists.WishlistError) {
+    console.error(`❌ ${context}:`, err.message);
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  if (err instanceof images.ImageError) {
+    console.error(`❌ ${context}:`, err.code, err.message);
+    return res.status(err.status).json({ success: false, code: err.code, error: err.message });
+  }
+  console.error(`❌ ${context}:`, err.message);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+// Helper: 400 response with a field-level error list [{ field, code, message }] the storefront form can map to inputs
+function sendValidationErrors(res, errors, context) {
+  if (context) console.error(`❌ ${context}:`, errors);
+  res.status(400).json({ success: false, error: 'Invalid profile data', errors });
+}
+
+// Helper: map Shopify customerUpdate userErrors onto our request field names
+function mapCustomerUserErrors(userErrors, metafields = []) {
+  const NATIVE_FIELDS = { firstName: 'first_name', lastName: 'last_name', email: 'email', phone: 'phone' };
+  return userErrors.map(e => {
+    const path = (e.field || []).filter(part => part !== 'input');
+    let field = path.length > 0 ? path.join('.') : null;
+    if (path[0] === 'metafields' && metafields[Number(path[1])]) field = metafields[Number(path[1])].key;
+    else if (NATIVE_FIELDS[path[0]]) field = NATIVE_FIELDS[path[0]];
+    return { field, code: e.code ? String(e.code).toLowerCase() : 'rejected', message: e.message };
   });
 }
 
-// Helper: fetch basic product data by product_id using REST API
+function gidToId(gid) {
+  if (!gid) return gid;
+  const parts = String(gid).split('/');
+  return parts[parts.length - 1];
+}
+
+// Helper: shape a customer fetched with profileSchema.metafieldSelections() for responses.
+// `customer.metafields.edges` keeps the shape older storefront code reads; `profile` is typed.
+function describeCustomerProfile(node) {
+  const { metafields, profile } = profileSchema.readProfile(node);
+  const { id, firstName, lastName, email, phone } = node;
+  const edges = metafields.map(({ key, value, type }) => ({ node: { key, value, type } }));
+  return { customer: { id, firstName, lastName, email, phone, metafields: { edges } }, profile };
+}
+
+// Helper: read the customer's native fields and profile metafields, shaped by describeCustomerProfile (null if not found)
+async function loadCustomerProfile(customer_id) {
+  // Each schema field is fetched by key, so other apps' metafields can't crowd them out
+  const query = `
+    query getCustomerProfile($id: ID!) {
+      customer(id: $id) {
+        id
+        firstName
+        lastName
+        email
+        phone${profileSchema.metafieldSelections()}
+      }
+    }
+  `;
+
+  const data = await shopify.graphql(query, { id: `gid://shopify/Customer/${customer_id}` });
+  return data?.customer ? describeCustomerProfile(data.customer) : null;
+}
+
+// Helper: field-level changes between two describeCustomerProfile() results, for the audit trail
+function profileChanges(before, after) {
+  const NATIVE_FIELDS = { first_name: 'firstName', last_name: 'lastName', email: 'email', phone: 'phone' };
+  const rawValue = (described, key) => described?.customer.metafields.edges.find(edge => edge.node.key === key)?.node.value;
+
+  return [
+    ...Object.entries(NATIVE_FIELDS).map(([field, property]) => ({
+      field,
+      old_value: before?.customer[property],
+      new_value: after.customer[property]
+    })),
+    ...profileSchema.fields.map(field => ({
+      field: field.key,
+      old_value: rawValue(before, field.key),
+      new_value: rawValue(after, field.key)
+    }))
+  ];
+}
+
+// Helper: fetch basic product data by product_id (cached)
 async function fetchProductById(product_id) {
+  const cacheId = String(gidToId(product_id));
+  const cached = await productCache.getById(cacheId);
+  if (cached !== undefined) return cached;
+
   try {
-    const resp = await axios.get(`https://${SHOP_NAME}/admin/api/${API_VERSION}/products/${product_id}.json`, {
-      headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' }
-    });
-    const p = resp.data.product;
-    return {
-      id: String(p.id),
+    const query = `
+      query productById($id: ID!) {
+        product(id: $id) {
+          id
+          handle
+          title
+          featuredImage {
+            url
+          }
+        }
+      }
+    `;
+
+    const data = await shopify.graphql(query, { id: `gid://shopify/Product/${cacheId}` });
+
+    const p = data?.product;
+    if (!p) {
+      await productCache.put(cacheId, null);
+      return null;
+    }
+
+    const product = {
+      id: String(gidToId(p.id)),
       handle: p.handle,
       title: p.title,
-      image: p.image ? p.image.src : null
+      image: p.featuredImage ? p.featuredImage.url : null
     };
+    await productCache.put(cacheId, product);
+    return product;
   } catch (e) {
-    console.error('❌ Error fetching product by id:', e.response?.data || e.message);
+    console.error('❌ Error fetching product by id:', e.errors || e.message);
     return null;
   }
 }
 
-function gidToId(gid) {
-  if (!gid) return gid;
-  const parts = String(gid).split('/');
-  return parts[parts.length - 1];
+// Helper: fetch basic product data for many product ids in as few queries as possible (cached).
+// Returns a Map of id -> product, with null for products that no longer exist.
+// Ids whose batch failed to load are left out of the map.
+async function fetchProductsByIds(product_ids) {
+  const products = new Map();
+  const ids = [];
+  for (const id of new Set(product_ids.map(pid => String(gidToId(pid))))) {
+    const cached = await productCache.getById(id);
+    if (cached !== undefined) products.set(id, cached);
+    else ids.push(id);
+  }
+
+  const query = `
+    query productsByIds($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          handle
+          title
+          featuredImage {
+            url
+          }
+        }
+      }
+    }
+  `;
+
+  for (let i = 0; i < ids.length; i += PRODUCT_BATCH_SIZE) {
+    const batch = ids.slice(i, i + PRODUCT_BATCH_SIZE);
+    try {
+      const data = await shopify.graphql(query, { ids: batch.map(id => `gid://shopify/Product/${id}`) });
+      const nodes = data?.nodes || [];
+      for (let index = 0; index < batch.length; index++) {
+        const p = nodes[index];
+        const product = p && p.id ? {
+          id: String(gidToId(p.id)),
+          handle: p.handle,
+          title: p.title,
+          image: p.featuredImage ? p.featuredImage.url : null
+        } : null;
+        products.set(batch[index], product);
+        await productCache.put(batch[index], product);
+      }
+    } catch (e) {
+      console.error('❌ Error fetching products by ids:', e.errors || e.message);
+    }
+  }
+
+  return products;
 }
 
-// Helper: fetch product by handle via GraphQL
+// Helper: fetch product by handle via GraphQL (cached)
 async function fetchProductByHandle(handle) {
+  const cached = await productCache.getByHandle(handle);
+  if (cached) return cached;
+
   try {
     const query = `
       query productByHandle($handle: String!) {
@@ -122,51 +396,161 @@ async function fetchProductByHandle(handle) {
       }
     `;
 
-    const variables = { handle };
-
-    const resp = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query, variables },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+    const data = await shopify.graphql(query, { handle });
 
-    const p = resp.data.data?.productByHandle;
+    const p = data?.productByHandle;
     if (!p) return null;
 
     const id = gidToId(p.id);
-    return {
+    const product = {
       id: String(id),
       handle: p.handle,
       title: p.title,
       image: p.images?.edges?.[0]?.node?.url || null
     };
+    await productCache.put(product.id, product);
+    return product;
   } catch (e) {
-    console.error('❌ Error fetching product by handle:', e.response?.data || e.message);
+    console.error('❌ Error fetching product by handle:', e.errors || e.message);
     return null;
   }
 }
 
+// Helper: delete metafields (by key, in the profile namespace) from a customer
+async function deleteCustomerMetafields(customer_id, keys, namespace = profileSchema.namespace) {
+  if (keys.length === 0) return;
+
+  const mutation = `
+    mutation deleteCustomerMetafields($metafields: [MetafieldIdentifierInput!]!) {
+      metafieldsDelete(metafields: $metafields) {
+        deletedMetafields {
+          key
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  await shopify.graphql(mutation, {
+    metafields: keys.map(key => ({ ownerId: `gid://shopify/Customer/${customer_id}`, namespace, key }))
+  });
+}
+
+// Helper: read the customer's wishlist document (all named lists) from custom.wishlist
+async function loadWishlistDocument(customer_id) {
+  const query = `
+    query getCustomer($id: ID!) {
+      customer(id: $id) {
+        id
+        metafield(namespace: "${wishlists.WISHLIST_NAMESPACE}", key: "${wishlists.WISHLIST_KEY}") {
+          key
+          value
+          type
+          compareDigest
+        }
+      }
+    }
+  `;
+
+  const data = await shopify.graphql(query, { id: `gid://shopify/Customer/${customer_id}` });
+  const metafield = data?.customer?.metafield;
+
+  // Legacy flat arrays (and legacy string ids) are mapped onto the default list
+  const doc = wishlists.parseWishlistDocument(metafield?.value);
+  // Remember how the value is stored: its type for migration, its digest for compare-and-set
+  doc.stored = {
+    type: metafield?.type || null,
+    value: metafield?.value || null,
+    digest: metafield?.compareDigest || null
+  };
+  return doc;
+}
+
+// Helper: write the customer's wishlist document to custom.wishlist (as a json metafield).
+// Fails with a STALE_OBJECT ShopifyError when it changed since loadWishlistDocument.
+async function saveWishlistDocument(customer_id, doc) {
+  doc.stored = await wishlists.writeWishlistMetafield(shopify, customer_id, doc, doc.stored);
+}
+
+// Helper: read-modify-write the wishlist document with optimistic concurrency.
+// `context` is an audit context ({ customerId, actor, ip, route }, see auditContext);
+// the saved changes are recorded in the audit trail.
+// `mutate(doc)` runs against freshly loaded data and is re-run whenever another
+// request saved in between, so concurrent changes are merged rather than lost.
+// It may return false to skip saving. Gives up with a 409 after a few attempts.
+async function updateWishlistDocument(context, mutate) {
+  const customer_id = context.customerId;
+  for (let attempt = 1; ; attempt++) {
+    const doc = await loadWishlistDocument(customer_id);
+    const before = wishlists.parseWishlistDocument(doc.stored.value);
+    if (await mutate(doc) === false) return doc;
+
+    try {
+      await saveWishlistDocument(customer_id, doc);
+      await recordAudit(context, wishlists.diffDocuments(before, doc));
+      return doc;
+    } catch (err) {
+      if (!wishlists.isStaleWriteError(err)) throw err;
+      if (attempt >= WISHLIST_WRITE_ATTEMPTS) {
+        throw new wishlists.WishlistError(409, 'The wishlist was changed by another request; please reload it and try again');
+      }
+      console.warn(`🔁 Wishlist of customer ${customer_id} changed during update, retrying (attempt ${attempt + 1})`);
+    }
+  }
+}
+
 // ============================================
 // ROOT ENDPOINT - Welcome Message
 // ============================================
 app.get('/', (req, res) => {
-  res.json({ 
+  res.json({
     success: true,
-    status: 'ok', 
+    status: 'ok',
     message: 'Shopify Customer Profile App API',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
-    shop: SHOP_NAME,
+    shop: shops.defaultShop,
+    shops: 'Every route except / and /health is for one shop: the app proxy\'s shop, the session token\'s dest, or X-Shopify-Shop-Domain / ?shop=<shop>.myshopify.com' + (shops.defaultShop ? ` (default ${shops.defaultShop})` : ''),
+    authentication: 'Customer routes require an App Proxy signature or "Authorization: Bearer <customer session token>"; customer_id, if sent, must match the authenticated customer. Admin tools may instead send "X-Admin-Api-Key" with an explicit customer_id',
     endpoints: {
       root: '/ (GET) - This message',
       health: '/health (GET) - Health check',
+      install: '/auth?shop=<shop>.myshopify.com (GET) - Install the app on a store (OAuth); Shopify returns to /auth/callback',
+      updateCustomer: '/update-customer (POST) - Update native fields and metafields',
       updateProfile: '/update-profile (POST) - Update customer metafields',
-      getProfile: '/get-profile?customer_id=xxx (GET) - Get customer profile',
-      uploadImage: '/upload-profile-image (POST) - Upload profile image',
-      getWishlist: '/wishlist?customer_id=xxx (GET) - Get wishlist items (normalized objects with id/handle)',
-      addWishlist: '/wishlist/add (POST) - Add product to wishlist { customer_id, product_id|product_handle|product }',
-      removeWishlist: '/wishlist/remove (POST) - Remove product from wishlist { customer_id, product_id|product_handle|product }',
-      attachHandles: '/wishlist/attach-handles (POST) - Attach or set handles for wishlist items { customer_id, mappings: [{ id, handle }] }'
+      getProfile: '/get-profile (GET) - Get customer profile',
+      profileSchema: '/profile-schema (GET, public) - Profile fields, types and validation rules for the storefront form',
+      uploadImage: '/upload-profile-image (POST) - Upload profile image (multipart "image" file, or JSON image_url)',
+      deleteImage: '/delete-profile-image (POST) - Remove profile image',
+      imageStatus: '/profile-image-status (GET) - Processing status and URLs of the profile image',
+      getWishlist: '/wishlist?list_id=xxx&expand=true (GET) - Get wishlist items (normalized objects with id/handle); list_id defaults to "default", expand fills in product data and marks deleted products status "unavailable"',
+      addWishlist: '/wishlist/add (POST) - Add product to wishlist { list_id?, product_id|product_handle|product, variant_id?, quantity?, note?, priority? }',
+      removeWishlist: '/wishlist/remove (POST) - Remove product from wishlist { list_id?, product_id|product_handle|product, variant_id? }',
+      updateWishlistItem: '/wishlist/update-item (POST) - Edit a wishlist item { list_id?, product_id|product_handle, variant_id?, quantity?, note?, priority? }',
+      moveToCart: '/wishlist/move-to-cart (POST) - Cart permalink or draft order for wishlist items { list_id?, items?, mode?: permalink|draft_order, remove_moved? }',
+      attachHandles: '/wishlist/attach-handles (POST) - Attach or set handles for wishlist items { list_id?, mappings: [{ id, handle }] }',
+      listWishlists: '/wishlist/lists (GET) - List the customer\'s named wishlists',
+      createWishlist: '/wishlist/lists/create (POST) - Create a named wishlist { name }',
+      renameWishlist: '/wishlist/lists/rename (POST) - Rename a wishlist { list_id, name }',
+      deleteWishlist: '/wishlist/lists/delete (POST) - Delete a wishlist and its items { list_id }',
+      shareWishlist: '/wishlist/share (POST) - Get or create the public share token for a wishlist { list_id? }',
+      rotateShare: '/wishlist/share/rotate (POST) - Replace the share token, invalidating the old link { list_id? }',
+      revokeShare: '/wishlist/share/revoke (POST) - Stop sharing a wishlist { list_id? }',
+      sharedWishlist: '/shared/wishlist/:token?shop= (GET, public) - Read-only view of a shared wishlist',
+      guestWishlist: '/guest/wishlist (GET, public) - Guest wishlist for the X-Guest-Token header (or guest_token)',
+      addGuestWishlist: '/guest/wishlist/add (POST, public) - Add to a guest wishlist, issuing a guest_token if needed { guest_token?, product_id|product_handle|product, variant_id?, quantity?, note?, priority? }',
+      removeGuestWishlist: '/guest/wishlist/remove (POST, public) - Remove from a guest wishlist { guest_token, product_id|product_handle|product, variant_id? }',
+      mergeGuestWishlist: '/wishlist/merge-guest (POST) - After login, move a guest wishlist into the customer\'s wishlist { guest_token, list_id? }',
+      startReport: '/admin/reports/wishlists (POST, X-Admin-Api-Key) - Start a most-wishlisted products report and CSV export (bulk operation job)',
+      listReports: '/admin/reports/wishlists (GET, X-Admin-Api-Key) - Recent report jobs',
+      reportStatus: '/admin/reports/wishlists/:id (GET, X-Admin-Api-Key) - Poll a report job until it is completed or failed',
+      reportProducts: '/admin/reports/wishlists/:id/products?limit=&offset= (GET, X-Admin-Api-Key) - Products ranked by number of customers',
+      reportCsv: '/admin/reports/wishlists/:id/export.csv (GET, X-Admin-Api-Key) - CSV of customer wishlist items',
+      audit: '/admin/audit?customer_id=&from=&to=&limit= (GET, X-Admin-Api-Key) - Audit trail of profile and wishlist changes',
+      webhooks: '/webhooks/:topic (POST, Shopify only) - HMAC-verified webhook receiver (products/update, products/delete, app/uninstalled, customers/data_request, customers/redact, shop/redact)'
     }
   });
 });
@@ -175,76 +559,50 @@ app.get('/', (req, res) => {
 // ENDPOINT 1: Health Check
 // ============================================
 app.get('/health', (req, res) => {
-  res.json({ 
+  res.json({
     success: true,
-    status: 'ok', 
+    status: 'ok',
     message: 'Shopify Customer Profile App is running',
     timestamp: new Date().toISOString(),
-    shop: SHOP_NAME
+    shop: shops.defaultShop,
+    oauth: Boolean(oauth),
+    productCache: productCache.stats()
   });
 });
 
 // ============================================
 // ENDPOINT 2: Update Customer (All Fields Including Native + Metafields)
 // ============================================
-app.post('/update-customer', async (req, res) => {
+app.post('/update-customer', requireCustomer, async (req, res) => {
+  let submittedMetafields = [];
   try {
-    const { customer_id, first_name, last_name, email, phone, alternate_phone, gender, date_of_birth } = req.body;
+    const customer_id = req.customerId;
 
-    console.log('📝 Received full customer update request:', { 
-      customer_id, first_name, last_name, email, phone, alternate_phone, gender, date_of_birth 
-    });
+    console.log('📝 Received full customer update request:', { customer_id, ...req.body });
 
-    if (!customer_id) {
-      return res.status(400).json({ success: false, error: 'Customer ID is required' });
+    // Validate native fields and metafields against the profile schema before anything reaches Shopify
+    const native = profileSchema.collectCustomerFields(req.body);
+    const { metafields, cleared, errors: metafieldErrors } = profileSchema.collectMetafields(req.body);
+    submittedMetafields = metafields;
+    const validationErrors = [...native.errors, ...metafieldErrors];
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
     }
 
-    // Prepare the update input
+    // Prepare the update input, with native fields (normalized) if provided
     const updateInput = {
-      id: `gid://shopify/Customer/${customer_id}`
+      id: `gid://shopify/Customer/${customer_id}`,
+      ...native.input
     };
 
-    // Add native fields if provided
-    if (first_name) updateInput.firstName = first_name;
-    if (last_name) updateInput.lastName = last_name;
-    if (email) updateInput.email = email;
-    if (phone) updateInput.phone = phone;
-
-    // Prepare metafields array
-    const metafields = [];
-
-    if (alternate_phone !== undefined) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'alternate_phone',
-        value: alternate_phone,
-        type: 'single_line_text_field'
-      });
-    }
-
-    if (gender !== undefined) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'gender',
-        value: gender,
-        type: 'single_line_text_field'
-      });
-    }
-
-    if (date_of_birth !== undefined) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'date_of_birth',
-        value: date_of_birth,
-        type: 'date'
-      });
-    }
-
     // Add metafields to update input if any
     if (metafields.length > 0) {
       updateInput.metafields = metafields;
     }
 
+    // Current values, for the audit trail
+    const before = await loadCustomerProfile(customer_id);
+
     const mutation = `
       mutation updateCustomer($input: CustomerInput!) {
         customerUpdate(input: $input) {
@@ -253,15 +611,7 @@ app.post('/update-customer', async (req, res) => {
             firstName
             lastName
             email
-            phone
-            metafields(first: 10, namespace: "custom") {
-              edges {
-                node {
-                  key
-                  value
-                }
-              }
-            }
+            phone${profileSchema.metafieldSelections()}
           }
           userErrors {
             field
@@ -276,79 +626,47 @@ app.post('/update-customer', async (req, res) => {
     console.log('🚀 Sending GraphQL mutation to Shopify...');
     console.log('Variables:', JSON.stringify(variables, null, 2));
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query: mutation, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const data = await shopify.graphql(mutation, variables);
 
     console.log('✅ GraphQL response received');
 
-    const errors = response.data.data?.customerUpdate?.userErrors;
-    if (errors && errors.length > 0) {
-      console.error('❌ Shopify errors:', errors);
-      return res.status(400).json({ success: false, error: errors });
+    // Fields the customer blanked out are removed rather than set to an empty value. This runs
+    // only once the update has succeeded, so a rejected update leaves the profile as it was.
+    let updated = describeCustomerProfile(data.customerUpdate.customer);
+    if (cleared.length > 0) {
+      await deleteCustomerMetafields(customer_id, cleared);
+      updated = await loadCustomerProfile(customer_id);
     }
+    await recordAudit(auditContext(req), profileChanges(before, updated));
 
     res.json({
       success: true,
       message: 'Customer updated successfully',
-      customer: response.data.data.customerUpdate.customer
+      ...updated
     });
   } catch (err) {
-    console.error('❌ ERROR updating customer:', err.response?.data || err.message);
-    res.status(500).json({ 
-      success: false, 
-      error: err.response?.data?.errors || err.message 
-    });
+    if (err instanceof ShopifyError && err.type === 'USER_ERRORS') {
+      return sendValidationErrors(res, mapCustomerUserErrors(err.errors, submittedMetafields), 'ERROR updating customer');
+    }
+    sendRouteError(res, err, 'ERROR updating customer');
   }
 });
 
 // ============================================
 // ENDPOINT 3: Update Customer Profile (Metafields Only - Legacy)
 // ============================================
-app.post('/update-profile', async (req, res) => {
+app.post('/update-profile', requireCustomer, async (req, res) => {
+  let submittedMetafields = [];
   try {
-    const { customer_id, alternate_phone, gender, date_of_birth } = req.body;
-
-    console.log('📝 Received update request:', { customer_id, alternate_phone, gender, date_of_birth });
+    const customer_id = req.customerId;
 
-    if (!customer_id) {
-      return res.status(400).json({ success: false, error: 'Customer ID is required' });
-    }
-
-    const metafields = [];
-
-    if (alternate_phone) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'alternate_phone',
-        value: alternate_phone,
-        type: 'single_line_text_field'
-      });
-    }
-
-    if (gender) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'gender',
-        value: gender,
-        type: 'single_line_text_field'
-      });
-    }
+    console.log('📝 Received update request:', { customer_id, ...req.body });
 
-    if (date_of_birth) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'date_of_birth',
-        value: date_of_birth,
-        type: 'date'
-      });
+    // Legacy behaviour: empty values are ignored rather than clearing the field
+    const { metafields, errors: validationErrors } = profileSchema.collectMetafields(req.body, { skipEmpty: true });
+    submittedMetafields = metafields;
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
     }
 
     if (metafields.length === 0) {
@@ -363,14 +681,7 @@ app.post('/update-profile', async (req, res) => {
             firstName
             lastName
             email
-            metafields(first: 10, namespace: "custom") {
-              edges {
-                node {
-                  key
-                  value
-                }
-              }
-            }
+            phone${profileSchema.metafieldSelections()}
           }
           userErrors {
             field
@@ -387,345 +698,428 @@ app.post('/update-profile', async (req, res) => {
       }
     };
 
+    // Current values, for the audit trail
+    const before = await loadCustomerProfile(customer_id);
+
     console.log('🚀 Sending GraphQL mutation to Shopify...');
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query: mutation, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const data = await shopify.graphql(mutation, variables);
 
     console.log('✅ GraphQL response received');
 
-    const errors = response.data.data?.customerUpdate?.userErrors;
-    if (errors && errors.length > 0) {
-      console.error('❌ Shopify errors:', errors);
-      return res.status(400).json({ success: false, error: errors });
-    }
+    const updated = describeCustomerProfile(data.customerUpdate.customer);
+    await recordAudit(auditContext(req), profileChanges(before, updated));
 
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      customer: response.data.data.customerUpdate.customer
+      ...updated
     });
   } catch (err) {
-    console.error('❌ ERROR updating profile:', err.response?.data || err.message);
-    res.status(500).json({ 
-      success: false, 
-      error: err.response?.data?.errors || err.message 
-    });
+    if (err instanceof ShopifyError && err.type === 'USER_ERRORS') {
+      return sendValidationErrors(res, mapCustomerUserErrors(err.errors, submittedMetafields), 'ERROR updating profile');
+    }
+    sendRouteError(res, err, 'ERROR updating profile');
   }
 });
 
 // ============================================
 // ENDPOINT 4: Get Customer Profile
 // ============================================
-app.get('/get-profile', async (req, res) => {
+app.get('/get-profile', requireCustomer, async (req, res) => {
   try {
-    const { customer_id } = req.query;
-
-    if (!customer_id) {
-      return res.status(400).json({ success: false, error: 'Customer ID is required' });
-    }
+    const customer_id = req.customerId;
 
-    const query = `
-      query getCustomer($id: ID!) {
-        customer(id: $id) {
-          id
-          firstName
-          lastName
-          email
-          phone
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                key
-                value
-              }
-            }
-          }
-        }
-      }
-    `;
+    const current = await loadCustomerProfile(customer_id);
+    if (!current) return res.status(404).json({ success: false, error: 'Customer not found' });
 
-    const variables = { id: `gid://shopify/Customer/${customer_id}` };
+    const { customer, profile } = current;
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
+    // The profile_image metafield only holds a file ID; resolve it (and any thumbnails) to URLs
+    const byKey = key => customer.metafields.edges.find(edge => edge.node.key === key)?.node || null;
+    const profileImage = await profileImages.resolveProfileImage(
+      shopify,
+      byKey(profileImages.PROFILE_IMAGE_KEY),
+      byKey(profileImages.PROFILE_IMAGE_VARIANTS_KEY)
     );
 
-    res.json({ success: true, customer: response.data.data.customer });
+    res.json({
+      success: true,
+      customer,
+      profile,
+      profileImage
+    });
   } catch (err) {
-    console.error('❌ ERROR fetching profile:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    sendRouteError(res, err, 'ERROR fetching profile');
   }
 });
 
 // ============================================
-// ENDPOINT 4: Upload Profile Image (Simplified)
+// ENDPOINT: Profile Schema (public) - fields for rendering the storefront form
 // ============================================
-app.post('/upload-profile-image', async (req, res) => {
-  try {
-    const { customer_id, image_url } = req.body;
+app.get('/profile-schema', (req, res) => {
+  res.json({ success: true, schema: profileSchema.describe() });
+});
 
-    console.log('📸 Received image upload request');
-    console.log('👤 Customer ID:', customer_id);
-    console.log('📏 Image data length:', image_url?.length);
+// ============================================
+// ENDPOINT 4: Upload Profile Image (Simplified)
+// ============================================
 
-    if (!customer_id || !image_url) {
-      return res.status(400).json({ success: false, error: 'Customer ID and image URL required' });
+// Helper: read the "image" file field of a multipart/form-data request.
+// Resolves as soon as the image header has been identified, with { image, file }
+// where `file` is a validating stream of the whole file (see lib/images.js).
+function receiveMultipartImage(req) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10, fieldSize: 1024 } });
+    } catch (e) {
+      return reject(new images.ImageError(400, 'invalid_upload', 'Malformed multipart request'));
     }
 
-    // Convert base64 to buffer
-    const base64Data = image_url.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
-    
-    console.log('📦 Image buffer size:', buffer.length, 'bytes');
-
-    // Step 1: Generate staged uploads target
-    const stagedUploadMutation = `
-      mutation generateStagedUploads($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets {
-            url
-            resourceUrl
-            parameters {
-              name
-              value
-            }
-          }
-          userErrors {
-            field
-            message
+    let received = false;
+    parser.on('file', (name, file) => {
+      if (name !== 'image' || received) return file.resume();
+      received = true;
+
+      const inspector = images.createImageInspector(imageOptions);
+      file.on('error', err => inspector.destroy(err));
+      // Keep reading the request after a failure so the client gets the response
+      inspector.on('error', () => file.resume());
+      file.pipe(inspector);
+      inspector.identified.then(image => resolve({ image, file: inspector }), reject);
+    });
+    parser.on('error', () => reject(new images.ImageError(400, 'invalid_upload', 'Malformed multipart request')));
+    parser.on('close', () => {
+      if (!received) reject(new images.ImageError(400, 'missing_file', 'Multipart upload must include an "image" file field'));
+    });
+    req.pipe(parser);
+  });
+}
+
+// Helper: stage an image (Buffer or stream), upload it and create a Shopify file; returns the file ID
+async function uploadImageFile(customer_id, file, image, variant) {
+  const filename = `profile_${customer_id}_${Date.now()}${variant ? `_${variant}` : ''}.${image.extension}`;
+
+  // Step 1: Generate staged uploads target
+  const stagedUploadMutation = `
+    mutation generateStagedUploads($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
           }
         }
-      }
-    `;
-
-    const stagedUploadVariables = {
-      input: [{
-        resource: "IMAGE",
-        filename: `profile_${customer_id}_${Date.now()}.jpg`,
-        mimeType: "image/jpeg",
-        httpMethod: "POST"
-      }]
-    };
-
-    console.log('🚀 Creating staged upload...');
-    console.log('Variables:', JSON.stringify(stagedUploadVariables, null, 2));
-
-    const stagedResponse = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { 
-        query: stagedUploadMutation, 
-        variables: stagedUploadVariables 
-      },
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json'
+        userErrors {
+          field
+          message
         }
       }
-    );
+    }
+  `;
 
-    console.log('📥 Staged response:', JSON.stringify(stagedResponse.data, null, 2));
+  const stagedUploadVariables = {
+    input: [{
+      resource: "IMAGE",
+      filename,
+      mimeType: image.mimeType,
+      // Only known up front for buffers; streamed files are sent chunked
+      ...(Buffer.isBuffer(file) && { fileSize: String(file.length) }),
+      httpMethod: "POST"
+    }]
+  };
 
-    // Check for errors
-    const stagedErrors = stagedResponse.data.data?.stagedUploadsCreate?.userErrors;
-    if (stagedErrors && stagedErrors.length > 0) {
-      console.error('❌ Staged upload errors:', stagedErrors);
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Failed to create staged upload',
-        details: stagedErrors
-      });
-    }
+  console.log('🚀 Creating staged upload...');
+  console.log('Variables:', JSON.stringify(stagedUploadVariables, null, 2));
 
-    const stagedTarget = stagedResponse.data.data?.stagedUploadsCreate?.stagedTargets?.[0];
-    
-    if (!stagedTarget || !stagedTarget.url) {
-      console.error('❌ No staged target URL received');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Failed to get staged upload URL',
-        response: stagedResponse.data
-      });
-    }
+  const stagedData = await shopify.graphql(stagedUploadMutation, stagedUploadVariables);
 
-    console.log('✅ Staged target URL:', stagedTarget.url);
-    console.log('✅ Resource URL:', stagedTarget.resourceUrl);
+  console.log('📥 Staged response:', JSON.stringify(stagedData, null, 2));
 
-    // Step 2: Upload file to staged URL
-    const formData = new FormData();
-    
-    // Add all parameters from staged upload
-    stagedTarget.parameters.forEach(param => {
-      formData.append(param.name, param.value);
-    });
-    
-    // Add the file last
-    formData.append('file', buffer, {
-      filename: `profile_${customer_id}_${Date.now()}.jpg`,
-      contentType: 'image/jpeg'
-    });
+  const stagedTarget = stagedData?.stagedUploadsCreate?.stagedTargets?.[0];
 
-    console.log('🚀 Uploading file to staged URL...');
+  if (!stagedTarget || !stagedTarget.url) {
+    console.error('❌ No staged target URL received');
+    throw new ShopifyError('GRAPHQL', 'Failed to get staged upload URL');
+  }
 
-    await axios.post(stagedTarget.url, formData, {
-      headers: {
-        ...formData.getHeaders()
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity
-    });
+  console.log('✅ Staged target URL:', stagedTarget.url);
+  console.log('✅ Resource URL:', stagedTarget.resourceUrl);
 
-    console.log('✅ File uploaded successfully');
+  // Step 2: Upload file to staged URL
+  const formData = new FormData();
 
-    // Step 3: Create file in Shopify
-    const fileCreateMutation = `
-      mutation fileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files {
-            ... on MediaImage {
-              id
-              image {
-                url
-              }
-            }
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
+  // Add all parameters from staged upload
+  stagedTarget.parameters.forEach(param => {
+    formData.append(param.name, param.value);
+  });
 
-    console.log('🚀 Creating file in Shopify...');
-
-    const fileCreateResponse = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { 
-        query: fileCreateMutation, 
-        variables: {
-          files: [{
-            alt: `Profile image for customer ${customer_id}`,
-            contentType: "IMAGE",
-            originalSource: stagedTarget.resourceUrl
-          }]
-        }
-      },
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+  // Add the file last
+  formData.append('file', file, {
+    filename,
+    contentType: image.mimeType
+  });
 
-    console.log('📥 File create response:', JSON.stringify(fileCreateResponse.data, null, 2));
+  console.log('🚀 Uploading file to staged URL...');
 
-    const fileErrors = fileCreateResponse.data.data?.fileCreate?.userErrors;
-    if (fileErrors && fileErrors.length > 0) {
-      console.error('❌ File create errors:', fileErrors);
-      return res.status(400).json({ success: false, error: fileErrors });
-    }
+  // Stop the upload if a streamed file turns out too large or truncated
+  const cancelUpload = axios.CancelToken.source();
+  if (!Buffer.isBuffer(file)) file.on('error', err => cancelUpload.cancel(err.message));
 
-    const fileId = fileCreateResponse.data.data?.fileCreate?.files?.[0]?.id;
-    
-    if (!fileId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Failed to create file',
-        response: fileCreateResponse.data
-      });
-    }
+  await axios.post(stagedTarget.url, formData, {
+    headers: {
+      ...formData.getHeaders()
+    },
+    cancelToken: cancelUpload.token,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity
+  });
 
-    console.log('✅ File created with ID:', fileId);
+  console.log('✅ File uploaded successfully');
 
-    // Step 4: Update customer metafield
-    const updateMetafieldMutation = `
-      mutation updateCustomerMetafield($input: CustomerInput!) {
-        customerUpdate(input: $input) {
-          customer {
+  // Step 3: Create file in Shopify
+  const fileCreateMutation = `
+    mutation fileCreate($files: [FileCreateInput!]!) {
+      fileCreate(files: $files) {
+        files {
+          ... on MediaImage {
             id
-            metafields(first: 10, namespace: "custom") {
-              edges {
-                node {
-                  key
-                  value
-                  type
-                }
-              }
+            image {
+              url
             }
           }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    console.log('🚀 Updating customer metafield with file reference...');
-
-    const metafieldResponse = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { 
-        query: updateMetafieldMutation, 
-        variables: {
-          input: {
-            id: `gid://shopify/Customer/${customer_id}`,
-            metafields: [{
-              namespace: 'custom',
-              key: 'profile_image',
-              value: fileId,
-              type: 'file_reference'
-            }]
-          }
         }
-      },
-      {
-        headers: {
-          'X-Shopify-Access-Token': ACCESS_TOKEN,
-          'Content-Type': 'application/json'
+        userErrors {
+          field
+          message
         }
       }
-    );
+    }
+  `;
 
-    console.log('📥 Metafield update response:', JSON.stringify(metafieldResponse.data, null, 2));
+  console.log('🚀 Creating file in Shopify...');
 
-    const metafieldErrors = metafieldResponse.data.data?.customerUpdate?.userErrors;
-    if (metafieldErrors && metafieldErrors.length > 0) {
-      console.error('❌ Metafield errors:', metafieldErrors);
-      return res.status(400).json({ success: false, error: metafieldErrors });
+  const fileCreateData = await shopify.graphql(fileCreateMutation, {
+    files: [{
+      alt: `Profile image for customer ${customer_id}`,
+      contentType: "IMAGE",
+      originalSource: stagedTarget.resourceUrl
+    }]
+  });
+
+  console.log('📥 File create response:', JSON.stringify(fileCreateData, null, 2));
+
+  const fileId = fileCreateData?.fileCreate?.files?.[0]?.id;
+
+  if (!fileId) {
+    throw new ShopifyError('GRAPHQL', 'Failed to create file');
+  }
+
+  console.log('✅ File created with ID:', fileId);
+  return fileId;
+}
+
+// Helper: read the customer's current profile image metafields ({ image, variants }, each { value } or null)
+async function loadProfileImage(customer_id) {
+  const query = `
+    query customerProfileImage($id: ID!) {
+      customer(id: $id) {
+        image: metafield(namespace: "${profileSchema.namespace}", key: "${profileImages.PROFILE_IMAGE_KEY}") {
+          value
+        }
+        variants: metafield(namespace: "${profileSchema.namespace}", key: "${profileImages.PROFILE_IMAGE_VARIANTS_KEY}") {
+          value
+        }
+      }
+    }
+  `;
+  const data = await shopify.graphql(query, { id: `gid://shopify/Customer/${customer_id}` });
+  return { image: data?.customer?.image || null, variants: data?.customer?.variants || null };
+}
+
+// Helper: delete files that are no longer referenced. Failures are only logged;
+// `npm run cleanup:profile-images` removes anything left behind.
+async function deleteFilesQuietly(fileIds, reason) {
+  if (fileIds.length === 0) return [];
+  try {
+    const deleted = await profileImages.deleteFiles(shopify, fileIds);
+    console.log(`🗑️ Deleted ${deleted.length} ${reason} file(s)`);
+    return deleted;
+  } catch (err) {
+    console.warn(`⚠️ Could not delete ${reason} file(s) ${fileIds.join(', ')}:`, err.errors || err.message);
+    return [];
+  }
+}
+
+// Helper: run after an upload has been answered. Once every new file (main image first) is READY,
+// delete the customer's earlier uploads it replaced; they're kept while it's processing, in case it
+// ends up FAILED. Anything left when the wait runs out is removed later by the cleanup script.
+async function deleteReplacedProfileImagesWhenReady(customer_id, newFileIds) {
+  try {
+    const deadline = Date.now() + REPLACED_IMAGE_WAIT_MS;
+    for (;;) {
+      const files = await profileImages.fetchImageFiles(shopify, newFileIds);
+      const statuses = newFileIds.map(id => files.get(id)?.status || 'MISSING');
+      if (statuses.every(status => status === 'READY')) {
+        const uploadedAt = profileImages.uploadTimeFromFilename(files.get(newFileIds[0]).url);
+        const replaced = await profileImages.findReplacedFiles(shopify, customer_id, newFileIds, uploadedAt);
+        await deleteFilesQuietly(replaced, 'replaced profile image');
+        return;
+      }
+      if (statuses.some(status => status === 'FAILED' || status === 'MISSING')) {
+        console.warn(`⚠️ New profile image of customer ${customer_id} is not usable (${statuses.join(', ')}); keeping the previous files`);
+        return;
+      }
+      if (Date.now() + REPLACED_IMAGE_POLL_MS > deadline) {
+        console.log(`⏳ Profile image of customer ${customer_id} is still processing; the cleanup script will remove the replaced files`);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, REPLACED_IMAGE_POLL_MS));
+    }
+  } catch (err) {
+    console.warn(`⚠️ Could not clean up replaced profile images of customer ${customer_id}:`, err.errors || err.message);
+  }
+}
+
+// Helper: collect a stream into a Buffer
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Accepts either multipart/form-data with an "image" file field (streamed to
+// Shopify without buffering) or JSON { image_url: <base64 data URL> }
+app.post('/upload-profile-image', express.json({ limit: BASE64_IMAGE_BODY_LIMIT }), requireCustomer, async (req, res) => {
+  let upload;
+  // Files created by this request until the metafields point at them; deleted if the request fails
+  let pendingFileIds = [];
+  try {
+    const customer_id = req.customerId;
+
+    console.log('📸 Received image upload request');
+    console.log('👤 Customer ID:', customer_id);
+
+    if (req.is('multipart/form-data')) {
+      upload = await receiveMultipartImage(req);
+    } else {
+      const { image_url } = req.body || {};
+      console.log('📏 Image data length:', image_url?.length);
+
+      if (!image_url) {
+        return res.status(400).json({ success: false, error: 'Image URL required' });
+      }
+
+      // Convert base64 to buffer and identify the image from its contents
+      const buffer = images.decodeBase64Image(image_url);
+      upload = { image: images.validateImage(buffer, imageOptions), file: buffer };
+      console.log('📦 Image buffer size:', buffer.length, 'bytes');
+    }
+
+    const { image } = upload;
+    console.log(`🖼️ Detected ${image.mimeType}, ${image.width}x${image.height}`);
+
+    let fileId;
+    const variants = {};
+    if (avatarOptions.enabled) {
+      // Processing needs the whole image in memory; its size has already been capped
+      const buffer = Buffer.isBuffer(upload.file) ? upload.file : await readStream(upload.file);
+      const processed = await avatar.processAvatar(buffer, image, avatarOptions);
+      console.log(`✂️ Processed avatar to ${processed.main.width}x${processed.main.height} with ${processed.variants.length} variant(s)`);
+
+      fileId = await uploadImageFile(customer_id, processed.main.buffer, image);
+      pendingFileIds.push(fileId);
+      for (const variant of processed.variants) {
+        variants[variant.size] = await uploadImageFile(customer_id, variant.buffer, image, variant.size);
+        pendingFileIds.push(variants[variant.size]);
+      }
+    } else {
+      fileId = await uploadImageFile(customer_id, upload.file, image);
+      pendingFileIds.push(fileId);
+    }
+
+    // Remember what the customer had, for the audit trail
+    const previous = await loadProfileImage(customer_id);
+
+    // Step 4: Update customer metafield
+    const updateMetafieldMutation = `
+      mutation updateCustomerMetafield($input: CustomerInput!) {
+        customerUpdate(input: $input) {
+          customer {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    console.log('🚀 Updating customer metafield with file reference...');
+
+    const metafields = [{
+      namespace: profileSchema.namespace,
+      key: profileImages.PROFILE_IMAGE_KEY,
+      value: fileId,
+      type: 'file_reference'
+    }];
+    // Thumbnail file IDs by size, e.g. { "512": "gid://shopify/MediaImage/1", "128": ... }
+    if (avatarOptions.enabled) {
+      metafields.push({ namespace: profileSchema.namespace, key: profileImages.PROFILE_IMAGE_VARIANTS_KEY, value: JSON.stringify(variants), type: 'json' });
+    }
+
+    const metafieldData = await shopify.graphql(updateMetafieldMutation, {
+      input: {
+        id: `gid://shopify/Customer/${customer_id}`,
+        metafields
+      }
+    });
+    pendingFileIds = [];
+
+    console.log('📥 Metafield update response:', JSON.stringify(metafieldData, null, 2));
+
+    await recordAudit(auditContext(req), [
+      { field: profileImages.PROFILE_IMAGE_KEY, old_value: previous.image?.value, new_value: fileId },
+      {
+        field: profileImages.PROFILE_IMAGE_VARIANTS_KEY,
+        old_value: previous.variants?.value,
+        new_value: avatarOptions.enabled ? JSON.stringify(variants) : null
+      }
+    ]);
+
+    // Variants from an earlier processed upload no longer match the new image
+    if (!avatarOptions.enabled && previous.variants) {
+      await deleteCustomerMetafields(customer_id, [profileImages.PROFILE_IMAGE_VARIANTS_KEY]);
     }
 
     console.log('✅✅✅ Profile image uploaded successfully!');
 
-    res.json({ 
-      success: true, 
+    res.json({
+      success: true,
       message: 'Profile image updated successfully',
-      fileId: fileId
+      fileId: fileId,
+      ...(avatarOptions.enabled && { variants })
     });
 
+    // The previous image's files go once the new one is confirmed READY
+    deleteReplacedProfileImagesWhenReady(customer_id, [fileId, ...Object.values(variants)]);
+
   } catch (err) {
+    await deleteFilesQuietly(pendingFileIds, 'unused upload');
+    // A failed streamed upload is reported with the reason the file was rejected
+    if (upload?.file?.error) err = upload.file.error;
+    if (err instanceof ShopifyError || err instanceof images.ImageError) return sendRouteError(res, err, 'ERROR uploading image');
     console.error('❌ ERROR uploading image:', err.response?.data || err.message);
     console.error('❌ Error details:', err);
-    res.status(500).json({ 
-      success: false, 
+    res.status(500).json({
+      success: false,
       error: err.message,
       details: err.response?.data
     });
@@ -733,437 +1127,1213 @@ app.post('/upload-profile-image', async (req, res) => {
 });
 
 // ============================================
-// ENDPOINT: Wishlist - Get / Add / Remove
+// ENDPOINT: Profile Image Status - poll after an upload until the file is READY (or FAILED)
 // ============================================
-
-// GET wishlist - retrieve wishlist array (stored as JSON in custom.wishlist). Returns objects containing at least { id } or { handle }.
-app.get('/wishlist', async (req, res) => {
+app.get('/profile-image-status', requireCustomer, async (req, res) => {
   try {
-    const { customer_id } = req.query;
-    if (!customer_id) return res.status(400).json({ success: false, error: 'Customer ID is required' });
-
-    const query = `
-      query getCustomer($id: ID!) {
-        customer(id: $id) {
-          id
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                key
-                value
-              }
-            }
-          }
-        }
+    const customer_id = req.customerId;
+    const current = await loadProfileImage(customer_id);
+
+    // file_id (as returned by the upload) must be this customer's current image or one of its thumbnails
+    const { file_id } = req.query;
+    if (file_id) {
+      const fileId = String(file_id).startsWith('gid://') ? String(file_id) : `gid://shopify/MediaImage/${file_id}`;
+      if (!profileImages.profileImageFileIds(current.image, current.variants).includes(fileId)) {
+        return res.status(404).json({ success: false, error: 'File is not the current profile image' });
       }
-    `;
+    }
 
-    const variables = { id: `gid://shopify/Customer/${customer_id}` };
+    const profileImage = await profileImages.resolveProfileImage(shopify, current.image, current.variants);
+    if (!profileImage) return res.status(404).json({ success: false, error: 'No profile image' });
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query, variables },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+    const files = [profileImage, ...Object.values(profileImage.variants)];
+    const done = files.every(file => ['READY', 'FAILED', 'MISSING'].includes(file.status));
+    if (!done) res.set('Retry-After', '2');
+    res.set('Cache-Control', 'no-store');
 
-    const edges = response.data.data?.customer?.metafields?.edges || [];
-    const node = edges.find(e => e.node.key === 'wishlist');
-    let wishlist = [];
-    if (node && node.node.value) {
-      try { wishlist = JSON.parse(node.node.value); if (!Array.isArray(wishlist)) wishlist = []; } catch (e) { wishlist = []; }
-    }
+    res.json({ success: true, done, profileImage });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR fetching profile image status');
+  }
+});
 
-    // Normalize entries (support legacy string ids)
-    wishlist = normalizeWishlistEntries(wishlist);
+// ============================================
+// ENDPOINT: Delete Profile Image
+// ============================================
+app.post('/delete-profile-image', requireCustomer, async (req, res) => {
+  try {
+    const customer_id = req.customerId;
+    const current = await loadProfileImage(customer_id);
 
-    // Optional: expand items that only have ids when expand=true
-    if (req.query.expand === 'true') {
-      for (let i = 0; i < wishlist.length; i++) {
-        const item = wishlist[i];
-        if (item && item.id && (!item.title && !item.handle)) {
-          const fetched = await fetchProductById(item.id);
-          if (fetched) wishlist[i] = { ...item, ...fetched };
-        }
-      }
+    if (!current.image && !current.variants) {
+      return res.json({ success: true, message: 'No profile image to delete', deletedFileIds: [] });
     }
 
-    // Backfill handles for items with id but no handle, and persist the enriched wishlist
+    // Clear the references first so the storefront never points at a deleted file
+    const keys = [
+      current.image && profileImages.PROFILE_IMAGE_KEY,
+      current.variants && profileImages.PROFILE_IMAGE_VARIANTS_KEY
+    ].filter(Boolean);
+    await deleteCustomerMetafields(customer_id, keys);
+    await recordAudit(auditContext(req), [
+      { field: profileImages.PROFILE_IMAGE_KEY, old_value: current.image?.value, new_value: null },
+      { field: profileImages.PROFILE_IMAGE_VARIANTS_KEY, old_value: current.variants?.value, new_value: null }
+    ]);
+
+    const fileIds = profileImages.profileImageFileIds(current.image, current.variants);
+    const deletedFileIds = await deleteFilesQuietly(fileIds, 'removed profile image');
+
+    console.log(`🗑️ Removed profile image for customer ${customer_id}`);
+    res.json({ success: true, message: 'Profile image deleted', deletedFileIds });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR deleting profile image');
+  }
+});
+
+// ============================================
+// ENDPOINT: Wishlist - Get / Add / Remove
+// ============================================
+
+// GET wishlist - retrieve wishlist array (stored as JSON in custom.wishlist). Returns objects containing at least { id } or { handle }.
+app.get('/wishlist', requireCustomer, async (req, res) => {
+  try {
+    const customer_id = req.customerId;
+
+    const doc = await loadWishlistDocument(customer_id);
+    const list = wishlists.findList(doc, req.query.list_id);
+    const wishlist = list.items;
+
+    // Look up every item that has an id but no handle in one batched query.
+    // With expand=true every item with an id is checked, so deleted products show up too.
+    const expand = req.query.expand === 'true';
+    const idsToFetch = wishlist
+      .filter(item => item && item.id && (expand || !item.handle))
+      .map(item => item.id);
+    const products = idsToFetch.length > 0 ? await fetchProductsByIds(idsToFetch) : new Map();
+
+    // Backfill handles for items with id but no handle, and persist the enriched wishlist.
+    // Products that were deleted are marked unavailable in the response only.
     try {
-      let needSave = false;
+      const backfilled = new Map();
       for (let i = 0; i < wishlist.length; i++) {
         const item = wishlist[i];
-        if (item && item.id && !item.handle) {
-          const fetched = await fetchProductById(item.id);
-          if (fetched && fetched.handle) {
-            wishlist[i] = { ...item, ...fetched };
-            needSave = true;
-          }
+        if (!item || !item.id) continue;
+        const id = String(gidToId(item.id));
+        if (!products.has(id)) continue;
+
+        const fetched = products.get(id);
+        if (!fetched) {
+          wishlist[i] = { ...item, status: 'unavailable' };
+        } else if (!item.handle || (expand && !item.title)) {
+          wishlist[i] = { ...item, ...fetched };
+          if (!item.handle && fetched.handle) backfilled.set(String(item.id), fetched);
         }
       }
 
-      if (needSave) {
-        const mutation = `
-          mutation updateCustomerMetafields($input: CustomerInput!) {
-            customerUpdate(input: $input) {
-              customer { id metafields(first: 10, namespace: "custom") { edges { node { key value } } } }
-              userErrors { field message }
-            }
-          }
-        `;
-
-        const updateVars = {
-          input: {
-            id: `gid://shopify/Customer/${customer_id}`,
-            metafields: [{ namespace: 'custom', key: 'wishlist', value: JSON.stringify(wishlist), type: 'single_line_text_field' }]
-          }
-        };
-
+      if (backfilled.size > 0) {
         try {
-          const saveResponse = await axios.post(
-            `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-            { query: mutation, variables: updateVars },
-            { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-          );
-
-          const saveErrors = saveResponse.data.data?.customerUpdate?.userErrors;
-          if (saveErrors && saveErrors.length > 0) {
-            console.error('❌ Shopify errors saving enriched wishlist:', saveErrors);
-          } else {
-            console.log('✅ Wishlist enriched and saved with product handles');
-          }
+          // Apply the fetched data to the latest stored copy, so a concurrent add/remove isn't overwritten
+          await updateWishlistDocument(auditContext(req), latest => {
+            const latestList = latest.lists.find(l => l.id === list.id);
+            if (!latestList) return false;
+            let changed = false;
+            latestList.items = latestList.items.map(item => {
+              const fetched = item && item.id && !item.handle && backfilled.get(String(item.id));
+              if (!fetched) return item;
+              changed = true;
+              return { ...item, ...fetched };
+            });
+            return changed;
+          });
+          console.log('✅ Wishlist enriched and saved with product handles');
         } catch (saveErr) {
-          console.error('❌ Error saving enriched wishlist:', saveErr.response?.data || saveErr.message);
+          console.error('❌ Error saving enriched wishlist:', saveErr.errors || saveErr.message);
         }
       }
     } catch (e) {
       console.error('❌ Error during wishlist backfill:', e.message);
     }
 
-    res.json({ success: true, wishlist });
+    res.json({ success: true, list: wishlists.describeList(list), wishlist });
   } catch (err) {
-    console.error('❌ ERROR fetching wishlist:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    sendRouteError(res, err, 'ERROR fetching wishlist');
   }
 });
 
-// POST /wishlist/add - add a product to wishlist. Accepts product_id, product_handle or full product object (product).
-app.post('/wishlist/add', async (req, res) => {
+// Helper: the item to save for an add request: product_id (looked up), product_handle or a product object,
+// plus optional variant_id, quantity, note and priority
+async function wishlistItemFromBody(body) {
+  const { product_id, product_handle, product } = body;
+  const variantId = wishlists.parseVariantId(body.variant_id ?? product?.variant_id);
+  const fields = wishlists.validateItemFields(body);
+
+  let newProduct = null;
+  if (product && typeof product === 'object') {
+    newProduct = product;
+  } else if (product_handle) {
+    newProduct = { handle: String(product_handle) };
+  } else if (product_id) {
+    const fetched = await fetchProductById(product_id);
+    newProduct = fetched || { id: String(product_id) };
+  }
+
+  const item = wishlists.createItem(newProduct, variantId, fields);
+  if (!item.id && !item.handle) throw new wishlists.WishlistError(400, 'product must have an id or handle');
+  return item;
+}
+
+// Helper: what a remove request names: { id, handle, variant_id } from product_id, product_handle or a product object
+function removalTargetFromBody(body) {
+  const { product_id, product_handle, product } = body;
+  const target = { id: null, handle: null, variant_id: wishlists.parseVariantId(body.variant_id ?? product?.variant_id) };
+
+  if (product && typeof product === 'object') {
+    if (product.handle) target.handle = String(product.handle);
+    if (product.id) target.id = String(product.id);
+  }
+  if (product_handle) target.handle = String(product_handle);
+  if (product_id) target.id = String(product_id);
+  return target;
+}
+
+// POST /wishlist/add - add a product to wishlist. Accepts product_id, product_handle or full product object (product),
+// plus optional variant_id, quantity, note and priority. Each variant of a product is a separate item.
+app.post('/wishlist/add', requireCustomer, async (req, res) => {
   try {
-    const { customer_id, product_id, product_handle, product } = req.body;
-    if (!customer_id || (!product_id && !product_handle && !product)) return res.status(400).json({ success: false, error: 'customer_id and product_id|product_handle|product required' });
+    const { list_id, product_id, product_handle, product } = req.body;
+    if (!product_id && !product_handle && !product) return res.status(400).json({ success: false, error: 'product_id|product_handle|product required' });
 
-    // Fetch current wishlist
-    const query = `
-      query getCustomer($id: ID!) {
-        customer(id: $id) {
-          id
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                key
-                value
+    const newItem = await wishlistItemFromBody(req.body);
+
+    let list;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, list_id);
+
+      // Avoid duplicates (same product and variant); use /wishlist/update-item to edit an existing item
+      if (list.items.some(item => wishlists.sameItem(item, newItem))) return false;
+      list.items.push(newItem);
+    });
+
+    res.json({ success: true, list: wishlists.describeList(list), wishlist: list.items });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR adding to wishlist');
+  }
+});
+
+// POST /wishlist/remove - remove a product from wishlist. Accepts product_id, product_handle or full product object (product).
+// With variant_id only that variant's item is removed, otherwise every item for the product.
+app.post('/wishlist/remove', requireCustomer, async (req, res) => {
+  try {
+    const { list_id, product_id, product_handle, product } = req.body;
+    if (!product_id && !product_handle && !product) return res.status(400).json({ success: false, error: 'product_id|product_handle|product required' });
+
+    const target = removalTargetFromBody(req.body);
+
+    let list;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, list_id);
+
+      const newWishlist = wishlists.removeItems(list.items, target);
+      if (newWishlist.length === list.items.length) return false;
+      list.items = newWishlist;
+    });
+
+    res.json({ success: true, list: wishlists.describeList(list), wishlist: list.items });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR removing from wishlist');
+  }
+});
+
+// POST /wishlist/update-item - edit an item's quantity, note or priority.
+// The item is identified like /wishlist/add: product_id|product_handle plus variant_id if it was saved with one.
+app.post('/wishlist/update-item', requireCustomer, async (req, res) => {
+  try {
+    const { list_id, product_id, product_handle } = req.body;
+    if (!product_id && !product_handle) return res.status(400).json({ success: false, error: 'product_id|product_handle required' });
+
+    const target = {
+      id: product_id ? String(product_id) : null,
+      handle: product_handle ? String(product_handle) : null,
+      variant_id: wishlists.parseVariantId(req.body.variant_id)
+    };
+    const fields = wishlists.validateItemFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update: send quantity, note and/or priority' });
+    }
+
+    let list;
+    let updated;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, list_id);
+      const item = list.items.find(candidate => wishlists.sameItem(candidate, target));
+      if (!item) throw new wishlists.WishlistError(404, 'Item not found in wishlist');
+      updated = wishlists.updateItem(item, fields);
+    });
+
+    res.json({ success: true, list: wishlists.describeList(list), item: updated, wishlist: list.items });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR updating wishlist item');
+  }
+});
+
+// POST /wishlist/attach-handles - attach handles to existing wishlist items or add items by handle
+app.post('/wishlist/attach-handles', requireCustomer, async (req, res) => {
+  try {
+    const customer_id = req.customerId;
+    const { list_id, mappings } = req.body;
+    if (!mappings) return res.status(400).json({ success: false, error: 'mappings are required' });
+
+    const items = Array.isArray(mappings) ? mappings : [mappings];
+
+    // Product lookups are remembered so a retried update doesn't repeat them
+    const byHandle = new Map();
+    const byId = new Map();
+    const lookupHandle = async handle => {
+      if (!byHandle.has(handle)) byHandle.set(handle, await fetchProductByHandle(handle));
+      return byHandle.get(handle);
+    };
+    const lookupId = async id => {
+      if (!byId.has(id)) byId.set(id, await fetchProductById(id));
+      return byId.get(id);
+    };
+
+    let list;
+    let changed = false;
+    try {
+      await updateWishlistDocument(auditContext(req), async doc => {
+        list = wishlists.findList(doc, list_id);
+        const wishlist = list.items;
+        changed = false;
+
+        for (const mapping of items) {
+          const mappingId = mapping?.id ? String(mapping.id) : null;
+          const mappingHandle = mapping?.handle ? String(mapping.handle) : null;
+
+          if (!mappingId && !mappingHandle) continue;
+
+          if (mappingHandle) {
+            // Try to fetch product by handle to enrich
+            const fetched = await lookupHandle(mappingHandle);
+
+            // Try to find existing by id first, then by handle
+            let foundIndex = -1;
+            if (mappingId) foundIndex = wishlist.findIndex(w => w && String(w.id) === mappingId);
+            if (foundIndex === -1 && fetched) foundIndex = wishlist.findIndex(w => w && w.handle === fetched.handle);
+
+            if (foundIndex !== -1) {
+              wishlists.updateItem(wishlist[foundIndex], wishlists.productFields(fetched || { handle: mappingHandle }));
+              changed = true;
+            } else {
+              // Add new item if not duplicate (same rules as /wishlist/add)
+              const newItem = wishlists.createItem(fetched || { id: mappingId, handle: mappingHandle });
+              if (!wishlist.some(w => wishlists.sameItem(w, newItem))) {
+                wishlist.push(newItem);
+                changed = true;
+              }
+            }
+
+          } else if (mappingId) {
+            // Only id provided: try to fetch product to get handle
+            const idx = wishlist.findIndex(w => w && String(w.id) === mappingId);
+            if (idx !== -1) {
+              const fetched = await lookupId(mappingId);
+              if (fetched && fetched.handle && fetched.handle !== wishlist[idx].handle) {
+                wishlists.updateItem(wishlist[idx], wishlists.productFields(fetched));
+                changed = true;
               }
             }
           }
         }
+
+        // Persist changes if any
+        return changed;
+      });
+      if (changed) console.log('✅ Attached handles saved to wishlist');
+    } catch (saveErr) {
+      if (!list || saveErr instanceof wishlists.WishlistError) throw saveErr;
+      console.error('❌ Error saving attached handles:', saveErr.errors || saveErr.message);
+    }
+
+    res.json({ success: true, list: wishlists.describeList(list), wishlist: list.items });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR attaching handles to wishlist');
+  }
+});
+
+// ============================================
+// ENDPOINT: Wishlist to Cart
+// ============================================
+
+// Helper: wishlist item as reported by /wishlist/move-to-cart
+function describeCartItem(item) {
+  return {
+    id: item.id ? String(item.id) : null,
+    handle: item.handle || null,
+    variant_id: item.variant_id || null,
+    title: item.title || null,
+    quantity: item.quantity || 1
+  };
+}
+
+// POST /wishlist/move-to-cart - put wishlist items in a cart.
+// Body: { list_id?, items?: [{ product_id|product_handle, variant_id? }], mode?: "permalink" (default) | "draft_order", remove_moved?: boolean }
+// Without `items` the whole list is moved. Items that can't be bought right now are
+// reported in `unavailable` with a reason and always stay on the wishlist.
+app.post('/wishlist/move-to-cart', requireCustomer, async (req, res) => {
+  try {
+    const customer_id = req.customerId;
+    const { list_id, items: selection, mode = 'permalink' } = req.body;
+    const removeMoved = req.body.remove_moved === true || req.body.remove_moved === 'true';
+    if (!['permalink', 'draft_order'].includes(mode)) {
+      return res.status(400).json({ success: false, error: 'mode must be "permalink" or "draft_order"' });
+    }
+    if (selection !== undefined && (!Array.isArray(selection) || selection.length === 0)) {
+      return res.status(400).json({ success: false, error: 'items must be a non-empty array' });
+    }
+
+    const doc = await loadWishlistDocument(customer_id);
+    const list = wishlists.findList(doc, list_id);
+
+    // Pick the requested items; ones that aren't on the list are reported rather than failing the request
+    let items = list.items.filter(item => item && (item.id || item.handle));
+    const unavailable = [];
+    if (selection) {
+      const chosen = [];
+      for (const ref of selection) {
+        const target = {
+          id: ref?.product_id ? String(ref.product_id) : null,
+          handle: ref?.product_handle ? String(ref.product_handle) : null,
+          variant_id: wishlists.parseVariantId(ref?.variant_id)
+        };
+        const item = items.find(candidate => wishlists.sameItem(candidate, target));
+        if (item && !chosen.includes(item)) chosen.push(item);
+        else if (!item) unavailable.push({ ...describeCartItem(target), reason: 'not_in_wishlist' });
       }
-    `;
+      items = chosen;
+    }
 
-    const variables = { id: `gid://shopify/Customer/${customer_id}` };
+    const products = await wishlistCart.fetchCartProducts(shopify, items);
+    const plan = wishlistCart.planCart(items, products);
+    unavailable.push(...plan.unavailable.map(({ item, reason }) => ({ ...describeCartItem(item), reason })));
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query, variables },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+    if (plan.lines.length === 0) {
+      return res.status(400).json({ success: false, error: 'None of the selected items can be added to the cart', unavailable });
+    }
 
-    const edges = response.data.data?.customer?.metafields?.edges || [];
-    const node = edges.find(e => e.node.key === 'wishlist');
-    let wishlist = [];
-    if (node && node.node.value) {
-      try { wishlist = JSON.parse(node.node.value); if (!Array.isArray(wishlist)) wishlist = []; } catch (e) { wishlist = []; }
+    const result = { success: true, mode };
+    if (mode === 'draft_order') {
+      result.draft_order = await wishlistCart.createDraftOrder(shopify, customer_id, plan.lines);
+      result.checkout_url = result.draft_order.invoice_url;
+    } else {
+      result.checkout_url = wishlistCart.cartPermalink(shops.current().storefrontUrl, plan.lines);
     }
 
-    // Normalize existing entries
-    wishlist = normalizeWishlistEntries(wishlist);
-
-    // Build new product data
-    let newProduct = null;
-    if (product && typeof product === 'object') {
-      newProduct = product;
-    } else if (product_handle) {
-      newProduct = { handle: String(product_handle) };
-    } else if (product_id) {
-      const fetched = await fetchProductById(product_id);
-      newProduct = fetched || { id: String(product_id) };
+    const moved = plan.lines.flatMap(line => line.items.map(item => ({ ...describeCartItem(item), variant_id: line.variant_id })));
+
+    // Only once the cart exists; the latest copy is edited so concurrent changes survive
+    if (removeMoved) {
+      const movedItems = plan.lines.flatMap(line => line.items);
+      await updateWishlistDocument(auditContext(req), latest => {
+        const latestList = latest.lists.find(l => l.id === list.id);
+        if (!latestList) return false;
+        const remaining = latestList.items.filter(item => !movedItems.some(moved => wishlists.sameItem(item, moved)));
+        if (remaining.length === latestList.items.length) return false;
+        latestList.items = remaining;
+      });
     }
 
-    // Avoid duplicates (prefer handle, then id)
-    const exists = wishlist.some(item => {
-      if (newProduct.handle && item.handle) return item.handle === newProduct.handle;
-      if (newProduct.id && item.id) return String(item.id) === String(newProduct.id);
-      return false;
+    res.json({ ...result, moved, unavailable, removed_from_wishlist: removeMoved });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR moving wishlist to cart');
+  }
+});
+
+// ============================================
+// ENDPOINT: Named Wishlists - List / Create / Rename / Delete
+// ============================================
+
+// GET /wishlist/lists - list the customer's wishlists (without items)
+app.get('/wishlist/lists', requireCustomer, async (req, res) => {
+  try {
+    const doc = await loadWishlistDocument(req.customerId);
+    res.json({ success: true, lists: doc.lists.map(wishlists.describeList) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR listing wishlists');
+  }
+});
+
+// POST /wishlist/lists/create - create a new, empty named wishlist { name }
+app.post('/wishlist/lists/create', requireCustomer, async (req, res) => {
+  try {
+    let list;
+    const doc = await updateWishlistDocument(auditContext(req), latest => {
+      list = wishlists.createList(latest, req.body.name);
     });
 
-    if (!exists) wishlist.push(newProduct);
+    console.log(`✅ Created wishlist "${list.name}" (${list.id})`);
+    res.json({ success: true, list: wishlists.describeList(list), lists: doc.lists.map(wishlists.describeList) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR creating wishlist');
+  }
+});
+
+// POST /wishlist/lists/rename - rename a wishlist { list_id, name }
+app.post('/wishlist/lists/rename', requireCustomer, async (req, res) => {
+  try {
+    const { list_id, name } = req.body;
+    if (!list_id) return res.status(400).json({ success: false, error: 'list_id is required' });
 
-    // Update metafield (store objects)
-    const mutation = `
-      mutation updateCustomerMetafields($input: CustomerInput!) {
-        customerUpdate(input: $input) {
-          customer { id metafields(first: 10, namespace: "custom") { edges { node { key value } } } }
-          userErrors { field message }
-        }
+    let list;
+    const doc = await updateWishlistDocument(auditContext(req), latest => {
+      list = wishlists.renameList(latest, list_id, name);
+    });
+
+    res.json({ success: true, list: wishlists.describeList(list), lists: doc.lists.map(wishlists.describeList) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR renaming wishlist');
+  }
+});
+
+// POST /wishlist/lists/delete - delete a wishlist and its items { list_id }. The default list can't be deleted.
+app.post('/wishlist/lists/delete', requireCustomer, async (req, res) => {
+  try {
+    const { list_id } = req.body;
+    if (!list_id) return res.status(400).json({ success: false, error: 'list_id is required' });
+
+    let list;
+    const doc = await updateWishlistDocument(auditContext(req), latest => {
+      list = wishlists.deleteList(latest, list_id);
+    });
+
+    console.log(`🗑️ Deleted wishlist "${list.name}" (${list.id})`);
+    res.json({ success: true, lists: doc.lists.map(wishlists.describeList) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR deleting wishlist');
+  }
+});
+
+// ============================================
+// ENDPOINT: Wishlist Sharing - Share / Rotate / Revoke / Public View
+// ============================================
+
+// Helper: share details returned to the owning customer. The path names the shop, since whoever
+// opens the link has no session token or proxy signature to tell the shop context which store it is.
+function describeShare(list) {
+  return {
+    token: list.share.token,
+    path: `/shared/wishlist/${list.share.token}?shop=${shops.current().shop}`,
+    created_at: list.share.created_at
+  };
+}
+
+// POST /wishlist/share - return the list's share token, creating one if it isn't shared yet { list_id? }
+app.post('/wishlist/share', requireCustomer, async (req, res) => {
+  try {
+    let list;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, req.body.list_id);
+      if (list.share) return false;
+      list.share = { token: shareTokens.createShareToken(req.customerId, list.id), created_at: new Date().toISOString() };
+      console.log(`🔗 Shared wishlist ${list.id}`);
+    });
+
+    res.json({ success: true, list: wishlists.describeList(list), share: describeShare(list) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR sharing wishlist');
+  }
+});
+
+// POST /wishlist/share/rotate - issue a new share token; links using the old one stop working { list_id? }
+app.post('/wishlist/share/rotate', requireCustomer, async (req, res) => {
+  try {
+    let list;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, req.body.list_id);
+      list.share = { token: shareTokens.createShareToken(req.customerId, list.id), created_at: new Date().toISOString() };
+    });
+    console.log(`🔗 Rotated share token for wishlist ${list.id}`);
+
+    res.json({ success: true, list: wishlists.describeList(list), share: describeShare(list) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR rotating wishlist share');
+  }
+});
+
+// POST /wishlist/share/revoke - stop sharing the list { list_id? }
+app.post('/wishlist/share/revoke', requireCustomer, async (req, res) => {
+  try {
+    let list;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, req.body.list_id);
+      if (!list.share) return false;
+      delete list.share;
+      console.log(`🔗 Revoked share for wishlist ${list.id}`);
+    });
+
+    res.json({ success: true, list: wishlists.describeList(list) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR revoking wishlist share');
+  }
+});
+
+// GET /shared/wishlist/:token - public, read-only view of a shared list.
+// Only product fields are returned; nothing identifies the customer.
+app.get('/shared/wishlist/:token', async (req, res) => {
+  try {
+    const notFound = () => res.status(404).json({ success: false, error: 'Shared wishlist not found' });
+
+    const ref = shareTokens.readShareToken(req.params.token);
+    if (!ref) return notFound();
+
+    const doc = await loadWishlistDocument(ref.customerId);
+    const list = doc.lists.find(l => l.id === ref.listId);
+    if (!list || !list.share || !shareTokens.tokenMatches(list.share.token, req.params.token)) return notFound();
+
+    const incomplete = item => !item.title || !item.handle || !item.image;
+    const products = await fetchProductsByIds(
+      list.items.filter(item => item && item.id && incomplete(item)).map(item => item.id)
+    );
+
+    const items = [];
+    for (const item of list.items) {
+      if (!item || (!item.id && !item.handle)) continue;
+
+      let product = item;
+      let status = 'available';
+      if (incomplete(item)) {
+        const id = item.id ? String(gidToId(item.id)) : null;
+        const fetched = id ? products.get(id) : await fetchProductByHandle(item.handle);
+        if (fetched) product = { ...item, ...fetched };
+        else if (id && products.has(id)) status = 'unavailable';
       }
-    `;
 
-    const updateVars = {
-      input: {
-        id: `gid://shopify/Customer/${customer_id}`,
-        metafields: [{ namespace: 'custom', key: 'wishlist', value: JSON.stringify(wishlist), type: 'single_line_text_field' }]
+      // Notes are the customer's own words, so they stay private
+      items.push({
+        id: product.id ? String(product.id) : null,
+        handle: product.handle || null,
+        variant_id: item.variant_id || null,
+        title: product.title || null,
+        image: product.image || null,
+        quantity: item.quantity || 1,
+        status
+      });
+    }
+
+    res.json({ success: true, wishlist: { name: list.name, items } });
+  } catch (err) {
+    if (err instanceof ShopifyError) {
+      console.error('❌ ERROR loading shared wishlist:', err.type, err.message);
+      return res.status(err.status === 400 ? 500 : err.status).json({ success: false, error: 'Could not load shared wishlist' });
+    }
+    sendRouteError(res, err, 'ERROR loading shared wishlist');
+  }
+});
+
+// ============================================
+// ENDPOINT: Guest Wishlists - Get / Add / Remove / Merge on login
+// ============================================
+
+// Helper: the guest token sent with a request (X-Guest-Token header, or guest_token in the body or query), or null
+function guestTokenFrom(req) {
+  return req.get('X-Guest-Token') || req.body?.guest_token || req.query.guest_token || null;
+}
+
+// GET /guest/wishlist - public; the guest's items. guest_token is null when the token is unknown or expired.
+app.get('/guest/wishlist', async (req, res) => {
+  try {
+    const token = guestTokenFrom(req);
+    if (token && !guestWishlists.isGuestToken(token)) return res.status(400).json({ success: false, error: 'Invalid guest token' });
+
+    const stored = token ? await guestWishlistStore().load(token) : null;
+    res.json({ success: true, guest_token: stored ? token : null, wishlist: stored ? stored.items : [] });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR fetching guest wishlist');
+  }
+});
+
+// POST /guest/wishlist/add - public; same body as /wishlist/add. A new guest token is issued
+// when none (or an unknown or expired one) is sent; the client must keep the returned guest_token.
+// Starting a list is limited per client IP and per shop (see lib/guestWishlists.js).
+app.post('/guest/wishlist/add', async (req, res) => {
+  try {
+    const { product_id, product_handle, product } = req.body;
+    if (!product_id && !product_handle && !product) return res.status(400).json({ success: false, error: 'product_id|product_handle|product required' });
+
+    let token = guestTokenFrom(req);
+    if (token && !guestWishlists.isGuestToken(token)) return res.status(400).json({ success: false, error: 'Invalid guest token' });
+
+    const store = guestWishlistStore();
+    if (!token || !(await store.load(token))) {
+      if (await store.isFull()) {
+        console.warn(`⚠️ Guest wishlist limit reached for ${shops.current().shop}`);
+        return res.status(503).json({ success: false, error: 'Guest wishlists are unavailable right now; log in to save items' });
       }
-    };
+      if (!store.allowNewList(req.ip)) {
+        return res.status(429).json({ success: false, error: 'Too many guest wishlists started from this address; try again later' });
+      }
+      token = guestWishlists.createGuestToken();
+    }
 
-    const updateResponse = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query: mutation, variables: updateVars },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+    const newItem = await wishlistItemFromBody(req.body);
+    if (JSON.stringify(newItem).length > guestWishlists.MAX_GUEST_ITEM_LENGTH) {
+      return res.status(400).json({ success: false, error: 'Product details are too long' });
+    }
 
-    const errors = updateResponse.data.data?.customerUpdate?.userErrors;
-    if (errors && errors.length > 0) {
-      console.error('❌ Shopify errors:', errors);
-      return res.status(400).json({ success: false, error: errors });
+    let full = false;
+    const items = await store.update(token, items => {
+      if (items.some(item => wishlists.sameItem(item, newItem))) return false;
+      if (items.length >= guestWishlists.MAX_GUEST_ITEMS) {
+        full = true;
+        return false;
+      }
+      items.push(newItem);
+    }, { create: true });
+    if (full) {
+      return res.status(400).json({ success: false, error: `A guest wishlist can hold at most ${guestWishlists.MAX_GUEST_ITEMS} items; log in to save more` });
     }
 
-    res.json({ success: true, wishlist });
+    res.json({ success: true, guest_token: token, wishlist: items });
   } catch (err) {
-    console.error('❌ ERROR adding to wishlist:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendRouteError(res, err, 'ERROR adding to guest wishlist');
   }
 });
 
-// POST /wishlist/remove - remove a product from wishlist. Accepts product_id, product_handle or full product object (product).
-app.post('/wishlist/remove', async (req, res) => {
+// POST /guest/wishlist/remove - public; same body as /wishlist/remove, plus the guest token
+app.post('/guest/wishlist/remove', async (req, res) => {
   try {
-    const { customer_id, product_id, product_handle, product } = req.body;
-    if (!customer_id || (!product_id && !product_handle && !product)) return res.status(400).json({ success: false, error: 'customer_id and product_id|product_handle|product required' });
+    const { product_id, product_handle, product } = req.body;
+    if (!product_id && !product_handle && !product) return res.status(400).json({ success: false, error: 'product_id|product_handle|product required' });
+
+    const token = guestTokenFrom(req);
+    const target = removalTargetFromBody(req.body);
+    const items = guestWishlists.isGuestToken(token)
+      ? await guestWishlistStore().update(token, items => {
+        const remaining = wishlists.removeItems(items, target);
+        if (remaining.length === items.length) return false;
+        items.splice(0, items.length, ...remaining);
+      })
+      : null;
+    if (!items) return res.status(404).json({ success: false, error: 'Guest wishlist not found' });
+
+    res.json({ success: true, guest_token: token, wishlist: items });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR removing from guest wishlist');
+  }
+});
 
-    // Fetch current wishlist
-    const query = `
-      query getCustomer($id: ID!) {
-        customer(id: $id) {
-          id
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                key
-                value
-              }
-            }
-          }
-        }
+// POST /wishlist/merge-guest - call after the guest logs in: adds the guest's items to one of the
+// customer's wishlists { guest_token, list_id? }, skipping ones already there (same rules as
+// /wishlist/add), then deletes the guest wishlist.
+app.post('/wishlist/merge-guest', requireCustomer, async (req, res) => {
+  try {
+    const token = guestTokenFrom(req);
+    if (!token) return res.status(400).json({ success: false, error: 'guest_token is required' });
+
+    const stored = guestWishlists.isGuestToken(token) ? await guestWishlistStore().load(token) : null;
+    if (!stored) return res.status(404).json({ success: false, error: 'Guest wishlist not found' });
+
+    let list;
+    let merged = 0;
+    await updateWishlistDocument(auditContext(req), doc => {
+      list = wishlists.findList(doc, req.body.list_id);
+      merged = 0;
+      for (const item of stored.items) {
+        if (list.items.some(existing => wishlists.sameItem(existing, item))) continue;
+        list.items.push(item);
+        merged++;
       }
-    `;
+      if (merged === 0) return false;
+    });
 
-    const variables = { id: `gid://shopify/Customer/${customer_id}` };
+    // Only discarded once the items are safely in custom.wishlist
+    await guestWishlistStore().remove(token);
+    console.log(`🔀 Merged ${merged} guest wishlist item(s) into customer ${req.customerId}'s list "${list.id}"`);
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query, variables },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+    res.json({
+      success: true,
+      merged,
+      skipped: stored.items.length - merged,
+      list: wishlists.describeList(list),
+      wishlist: list.items
+    });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR merging guest wishlist');
+  }
+});
+
+// ============================================
+// ENDPOINT: Audit Trail (admin only)
+// ============================================
+// GET /admin/audit?customer_id=&from=&to=&limit= - recorded field changes, newest first.
+// from/to are ISO dates; limit defaults to 100 (max 1000).
+app.get('/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const { customer_id, from, to, limit } = req.query;
 
-    const edges = response.data.data?.customer?.metafields?.edges || [];
-    const node = edges.find(e => e.node.key === 'wishlist');
-    let wishlist = [];
-    if (node && node.node.value) {
-      try { wishlist = JSON.parse(node.node.value); if (!Array.isArray(wishlist)) wishlist = []; } catch (e) { wishlist = []; }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `Invalid ${name} date: use an ISO 8601 date or timestamp` });
+      }
     }
 
-    // Normalize existing entries
-    wishlist = normalizeWishlistEntries(wishlist);
+    const entries = await auditLog.query({ shop: req.shopDomain, customerId: customer_id, from, to, limit });
+    res.json({ success: true, count: entries.length, entries });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR querying audit log');
+  }
+});
 
-    // Determine removal key
-    let handleToRemove = null;
-    let idToRemove = null;
+// ============================================
+// ENDPOINT: Wishlist Reports (admin only)
+// ============================================
+// A report is a job: POST starts a Shopify bulk operation over every customer's
+// wishlist, the client polls GET /admin/reports/wishlists/:id until it's completed,
+// then reads the ranked products or downloads the CSV export.
+
+// Helper: a report job as returned to the client
+function describeReportJob(job) {
+  const base = `/admin/reports/wishlists/${job.id}`;
+  return {
+    id: job.id,
+    status: job.status,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at || null,
+    requested_by: job.requested_by,
+    object_count: job.object_count ?? null,
+    error: job.error || null,
+    summary: job.summary || null,
+    ...(job.status === 'completed' && { links: { products: `${base}/products`, csv: `${base}/export.csv` } })
+  };
+}
 
-    if (product && typeof product === 'object') {
-      if (product.handle) handleToRemove = String(product.handle);
-      if (product.id) idToRemove = String(product.id);
+// Helper: move a running job forward. Checks the bulk operation and, once Shopify has
+// finished, builds the report in this request. Concurrent polls share the same work.
+const advancingReportJobs = new Map();
+function advanceReportJob(job) {
+  if (!['running', 'processing'].includes(job.status)) return Promise.resolve(job);
+  if (advancingReportJobs.has(job.id)) return advancingReportJobs.get(job.id);
+
+  const work = (async () => {
+    const operation = await wishlistReports.fetchBulkOperation(shopify, job.bulk_operation_id);
+    if (!operation) {
+      Object.assign(job, { status: 'failed', error: 'The bulk operation no longer exists' });
+      await reportStore().save(job);
+      return job;
     }
-    if (product_handle) handleToRemove = String(product_handle);
-    if (product_id) idToRemove = String(product_id);
-
-    const newWishlist = wishlist.filter(item => {
-      if (handleToRemove && item.handle) return item.handle !== handleToRemove;
-      if (idToRemove && item.id) return String(item.id) !== idToRemove;
-      // If wishlist items are objects that don't match the removal keys, keep them
-      return true;
-    });
 
-    // Update metafield
-    const mutation = `
-      mutation updateCustomerMetafields($input: CustomerInput!) {
-        customerUpdate(input: $input) {
-          customer { id metafields(first: 10, namespace: "custom") { edges { node { key value } } } }
-          userErrors { field message }
-        }
-      }
-    `;
+    job.object_count = Number(operation.objectCount || 0);
+    if (['CREATED', 'RUNNING', 'CANCELING'].includes(operation.status)) return job;
 
-    const updateVars = {
-      input: {
-        id: `gid://shopify/Customer/${customer_id}`,
-        metafields: [{ namespace: 'custom', key: 'wishlist', value: JSON.stringify(newWishlist), type: 'single_line_text_field' }]
-      }
-    };
+    if (operation.status !== 'COMPLETED') {
+      const reason = operation.errorCode ? `${operation.status} (${operation.errorCode})` : operation.status;
+      Object.assign(job, { status: 'failed', error: `Bulk operation ${reason.toLowerCase()}` });
+      await reportStore().save(job);
+      return job;
+    }
 
-    const updateResponse = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query: mutation, variables: updateVars },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+    job.status = 'processing';
+    await reportStore().save(job);
+    try {
+      const { summary, products } = await wishlistReports.buildReport(operation.url, reportStore().csvFile(job.id));
+      Object.assign(job, { status: 'completed', completed_at: new Date().toISOString(), summary, products });
+      console.log(`📊 Wishlist report ${job.id} completed: ${summary.products} product(s), ${summary.items} item(s)`);
+    } catch (err) {
+      console.error(`❌ Wishlist report ${job.id} failed:`, err.message);
+      Object.assign(job, { status: 'failed', error: `Could not read the bulk operation result: ${err.message}` });
+    }
+    await reportStore().save(job);
+    return job;
+  })();
+
+  advancingReportJobs.set(job.id, work);
+  return work.finally(() => advancingReportJobs.delete(job.id));
+}
+
+// Helper: load a report job for a route, answering 404 itself when it doesn't exist
+async function loadReportJob(req, res) {
+  const job = await reportStore().load(req.params.id);
+  if (!job) res.status(404).json({ success: false, error: 'Report not found' });
+  return job;
+}
 
-    const errors = updateResponse.data.data?.customerUpdate?.userErrors;
-    if (errors && errors.length > 0) {
-      console.error('❌ Shopify errors:', errors);
-      return res.status(400).json({ success: false, error: errors });
+// POST /admin/reports/wishlists - start a report. Shopify runs one bulk query at a time, so 409 while one is running.
+app.post('/admin/reports/wishlists', requireAdmin, async (req, res) => {
+  try {
+    const running = (await reportStore().list()).find(job => ['running', 'processing'].includes(job.status));
+    if (running) {
+      return res.status(409).json({ success: false, error: 'A wishlist report is already running', job: describeReportJob(running) });
     }
 
-    res.json({ success: true, wishlist: newWishlist });
+    const bulkOperationId = await wishlistReports.startBulkOperation(shopify);
+    const job = await reportStore().create({ status: 'running', bulk_operation_id: bulkOperationId, requested_by: req.actor.id });
+    console.log(`📊 Wishlist report ${job.id} started by ${req.actor.id} (${bulkOperationId})`);
+
+    res.status(202).json({ success: true, job: describeReportJob(job) });
   } catch (err) {
-    console.error('❌ ERROR removing from wishlist:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+    sendRouteError(res, err, 'ERROR starting wishlist report');
   }
 });
 
-// POST /wishlist/attach-handles - attach handles to existing wishlist items or add items by handle
-app.post('/wishlist/attach-handles', async (req, res) => {
+// GET /admin/reports/wishlists - recent report jobs, newest first
+app.get('/admin/reports/wishlists', requireAdmin, async (req, res) => {
   try {
-    const { customer_id, mappings } = req.body;
-    if (!customer_id || !mappings) return res.status(400).json({ success: false, error: 'customer_id and mappings are required' });
+    const jobs = await reportStore().list();
+    res.json({ success: true, jobs: jobs.map(describeReportJob) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR listing wishlist reports');
+  }
+});
 
-    const items = Array.isArray(mappings) ? mappings : [mappings];
+// GET /admin/reports/wishlists/:id - job status; poll until status is "completed" or "failed"
+app.get('/admin/reports/wishlists/:id', requireAdmin, async (req, res) => {
+  try {
+    let job = await loadReportJob(req, res);
+    if (!job) return;
 
-    // Fetch current wishlist
-    const query = `
-      query getCustomer($id: ID!) {
-        customer(id: $id) {
-          id
-          metafields(first: 10, namespace: "custom") {
-            edges {
-              node {
-                key
-                value
-              }
-            }
-          }
-        }
-      }
-    `;
+    job = await advanceReportJob(job);
+    const done = ['completed', 'failed'].includes(job.status);
+    if (!done) res.set('Retry-After', '5');
+    res.set('Cache-Control', 'no-store');
 
-    const variables = { id: `gid://shopify/Customer/${customer_id}` };
+    res.json({ success: true, done, job: describeReportJob(job) });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR checking wishlist report');
+  }
+});
 
-    const response = await axios.post(
-      `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-      { query, variables },
-      { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-    );
+// GET /admin/reports/wishlists/:id/products?limit=&offset= - products ranked by how many customers wishlisted them
+app.get('/admin/reports/wishlists/:id/products', requireAdmin, async (req, res) => {
+  try {
+    const job = await loadReportJob(req, res);
+    if (!job) return;
+    if (job.status !== 'completed') return res.status(409).json({ success: false, error: `Report is ${job.status}`, job: describeReportJob(job) });
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 250);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const page = job.products.slice(offset, offset + limit);
+
+    // Fill in current titles and handles for the page (cached lookups)
+    const fetched = await fetchProductsByIds(page.filter(product => product.product_id).map(product => product.product_id));
+    const products = page.map((product, index) => {
+      const current = product.product_id ? fetched.get(String(product.product_id)) : null;
+      return {
+        rank: offset + index + 1,
+        ...product,
+        handle: current?.handle || product.handle,
+        title: current?.title || product.title,
+        status: product.product_id && fetched.has(String(product.product_id)) && !current ? 'deleted' : 'active'
+      };
+    });
 
-    const edges = response.data.data?.customer?.metafields?.edges || [];
-    const node = edges.find(e => e.node.key === 'wishlist');
-    let wishlist = [];
-    if (node && node.node.value) {
-      try { wishlist = JSON.parse(node.node.value); if (!Array.isArray(wishlist)) wishlist = []; } catch (e) { wishlist = []; }
-    }
+    res.json({ success: true, total: job.products.length, offset, limit, products });
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR reading wishlist report');
+  }
+});
 
-    // Normalize existing entries
-    wishlist = normalizeWishlistEntries(wishlist);
+// GET /admin/reports/wishlists/:id/export.csv - one row per wishlist item
+app.get('/admin/reports/wishlists/:id/export.csv', requireAdmin, async (req, res) => {
+  try {
+    const job = await loadReportJob(req, res);
+    if (!job) return;
+    if (job.status !== 'completed') return res.status(409).json({ success: false, error: `Report is ${job.status}`, job: describeReportJob(job) });
 
-    let changed = false;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="wishlists-${job.completed_at.slice(0, 10)}-${job.id}.csv"`);
+    res.sendFile(reportStore().csvFile(job.id));
+  } catch (err) {
+    sendRouteError(res, err, 'ERROR exporting wishlist report');
+  }
+});
 
-    for (const mapping of items) {
-      const mappingId = mapping?.id ? String(mapping.id) : null;
-      const mappingHandle = mapping?.handle ? String(mapping.handle) : null;
+// ============================================
+// WEBHOOKS: Product changes
+// ============================================
 
-      if (!mappingId && !mappingHandle) continue;
+// Helper: ids of customers whose wishlist (any list) contains the product. Scans every customer.
+async function findCustomersWithWishlistProduct(product_id) {
+  const productId = String(product_id);
+  const customerIds = [];
+  let after = null;
+
+  do {
+    const data = await shopify.graphql(wishlists.CUSTOMERS_WITH_WISHLIST_QUERY, { after });
+    for (const { node } of data.customers.edges) {
+      if (!node.metafield) continue;
+      const doc = wishlists.parseWishlistDocument(node.metafield.value);
+      const contains = doc.lists.some(list => list.items.some(item => item && String(item.id) === productId));
+      if (contains) customerIds.push(gidToId(node.id));
+    }
+    after = data.customers.pageInfo.hasNextPage ? data.customers.pageInfo.endCursor : null;
+  } while (after);
 
-      if (mappingHandle) {
-        // Try to fetch product by handle to enrich
-        const fetched = await fetchProductByHandle(mappingHandle);
+  return customerIds;
+}
 
-        // Try to find existing by id first, then by handle
-        let foundIndex = -1;
-        if (mappingId) foundIndex = wishlist.findIndex(w => w && String(w.id) === mappingId);
-        if (foundIndex === -1 && fetched) foundIndex = wishlist.findIndex(w => w && w.handle === fetched.handle);
+// Helper: run slow webhook work after Shopify has been answered; it expects a reply within 5 seconds
+// and drops subscriptions that keep timing out. Jobs run one at a time, in the shop context they were
+// queued from. A job queued again under the same key before it ran runs once, with the latest fn.
+// Failures are only logged: Shopify has already been told the delivery succeeded.
+let webhookWork = Promise.resolve();
+const pendingWebhookWork = new Map();
+function queueWebhookWork(key, fn) {
+  const queued = pendingWebhookWork.has(key);
+  pendingWebhookWork.set(key, fn);
+  if (queued) return;
+
+  webhookWork = webhookWork
+    .then(() => {
+      const latest = pendingWebhookWork.get(key);
+      pendingWebhookWork.delete(key);
+      return latest();
+    })
+    .catch(err => console.error(`❌ Webhook job ${key} failed:`, err.errors || err.message));
+}
+
+// products/delete - forget the product and prune it from every wishlist
+webhooks.on('products/delete', async payload => {
+  const productId = String(payload.id);
+  await productCache.invalidate({ id: productId });
+  queueWebhookWork(`${shops.current().shop} products/delete ${productId}`, () => pruneDeletedProduct(productId));
+});
 
-        if (foundIndex !== -1) {
-          wishlist[foundIndex] = { ...(wishlist[foundIndex] || {}), ...(fetched || { handle: mappingHandle }) };
+// Helper: remove a deleted product from every wishlist that holds it (scans every customer)
+async function pruneDeletedProduct(productId) {
+  const customerIds = await findCustomersWithWishlistProduct(productId);
+  for (const customer_id of customerIds) {
+    await updateWishlistDocument({ customerId: customer_id, actor: { type: 'system', id: 'products/delete' } }, doc => {
+      let changed = false;
+      for (const list of doc.lists) {
+        const remaining = list.items.filter(item => !item || String(item.id) !== productId);
+        if (remaining.length !== list.items.length) {
+          list.items = remaining;
           changed = true;
-        } else {
-          // Add new item if not duplicate
-          const exists = wishlist.some(w => (fetched && fetched.handle && w.handle === fetched.handle) || (mappingId && w.id && String(w.id) === mappingId));
-          if (!exists) {
-            wishlist.push(fetched || (mappingId ? { id: mappingId, handle: mappingHandle } : { handle: mappingHandle }));
-            changed = true;
-          }
         }
+      }
+      return changed;
+    });
+  }
 
-      } else if (mappingId) {
-        // Only id provided: try to fetch product to get handle
-        const idx = wishlist.findIndex(w => w && String(w.id) === mappingId);
-        if (idx !== -1) {
-          const fetched = await fetchProductById(mappingId);
-          if (fetched && fetched.handle && fetched.handle !== wishlist[idx].handle) {
-            wishlist[idx] = { ...(wishlist[idx] || {}), ...fetched };
-            changed = true;
-          }
-        }
+  console.log(`🗑️ Product ${productId} deleted; pruned from ${customerIds.length} wishlist(s)`);
+}
+
+// products/update - refresh the cache and the handle/title/image stored in wishlists.
+// It also fires on price and inventory edits; those leave wishlists alone.
+webhooks.on('products/update', async payload => {
+  const productId = String(payload.id);
+  const product = {
+    id: productId,
+    handle: payload.handle,
+    title: payload.title,
+    image: payload.image?.src || payload.images?.[0]?.src || null
+  };
+
+  const cached = await productCache.getById(productId);
+  await productCache.invalidate({ id: productId, handle: product.handle });
+  await productCache.put(productId, product);
+
+  // Without a cached copy there's nothing to compare with, so the wishlists are checked
+  if (cached && ['handle', 'title', 'image'].every(field => cached[field] === product[field])) return;
+  queueWebhookWork(`${shops.current().shop} products/update ${productId}`, () => refreshWishlistProduct(product));
+});
+
+// Helper: update the handle/title/image stored for a product in every wishlist that holds it (scans every customer)
+async function refreshWishlistProduct(product) {
+  const productId = product.id;
+  const customerIds = await findCustomersWithWishlistProduct(productId);
+  const refreshed = new Set();
+  for (const customer_id of customerIds) {
+    await updateWishlistDocument({ customerId: customer_id, actor: { type: 'system', id: 'products/update' } }, doc => {
+      let changed = false;
+      for (const list of doc.lists) {
+        list.items = list.items.map(item => {
+          if (!item || String(item.id) !== productId) return item;
+          const stale = ['handle', 'title', 'image'].some(field => field in item && item[field] !== product[field]);
+          if (!stale) return item;
+          changed = true;
+          return {
+            ...item,
+            ...('handle' in item ? { handle: product.handle } : {}),
+            ...('title' in item ? { title: product.title } : {}),
+            ...('image' in item ? { image: product.image } : {})
+          };
+        });
       }
-    }
+      if (changed) refreshed.add(customer_id);
+      return changed;
+    });
+  }
 
-    // Persist changes if any
-    if (changed) {
-      const mutation = `
-        mutation updateCustomerMetafields($input: CustomerInput!) {
-          customerUpdate(input: $input) {
-            customer { id metafields(first: 10, namespace: "custom") { edges { node { key value } } } }
-            userErrors { field message }
-          }
-        }
-      `;
+  console.log(`🔄 Product ${productId} updated; refreshed ${refreshed.size} of ${customerIds.length} wishlist(s)`);
+}
 
-      const updateVars = {
-        input: {
-          id: `gid://shopify/Customer/${customer_id}`,
-          metafields: [{ namespace: 'custom', key: 'wishlist', value: JSON.stringify(wishlist), type: 'single_line_text_field' }]
-        }
-      };
+// ============================================
+// WEBHOOKS: App lifecycle
+// ============================================
 
-      try {
-        const saveResponse = await axios.post(
-          `https://${SHOP_NAME}/admin/api/${API_VERSION}/graphql.json`,
-          { query: mutation, variables: updateVars },
-          { headers: { 'X-Shopify-Access-Token': ACCESS_TOKEN, 'Content-Type': 'application/json' } }
-        );
-
-        const saveErrors = saveResponse.data.data?.customerUpdate?.userErrors;
-        if (saveErrors && saveErrors.length > 0) {
-          console.error('❌ Shopify errors saving attached handles:', saveErrors);
-        } else {
-          console.log('✅ Attached handles saved to wishlist');
-        }
-      } catch (saveErr) {
-        console.error('❌ Error saving attached handles:', saveErr.response?.data || saveErr.message);
+// app/uninstalled - forget the shop's access token, which Shopify has already revoked.
+// Its app-side data stays until shop/redact arrives.
+webhooks.on('app/uninstalled', async () => {
+  const shop = shops.current().shop;
+  await shops.uninstall(shop);
+  console.log(`👋 Uninstalled from ${shop}`);
+});
+
+// ============================================
+// WEBHOOKS: Mandatory privacy topics (GDPR)
+// ============================================
+
+// Every metafield this app writes on a customer: the profile schema's fields, the profile
+// image and its thumbnails (all in the schema's namespace), and the wishlist.
+// `label` names each in exports: its key, or namespace.key when two namespaces share a key.
+const CUSTOMER_DATA_METAFIELDS = (() => {
+  const entries = [
+    { namespace: profileSchema.namespace, key: profileImages.PROFILE_IMAGE_KEY },
+    { namespace: profileSchema.namespace, key: profileImages.PROFILE_IMAGE_VARIANTS_KEY },
+    { namespace: wishlists.WISHLIST_NAMESPACE, key: wishlists.WISHLIST_KEY },
+    ...profileSchema.fields.map(field => ({ namespace: profileSchema.namespace, key: field.key }))
+  ];
+  const unique = entries.filter((entry, index) => entries.findIndex(other => other.namespace === entry.namespace && other.key === entry.key) === index);
+  return unique.map(entry => ({
+    ...entry,
+    label: unique.some(other => other !== entry && other.key === entry.key) ? `${entry.namespace}.${entry.key}` : entry.key
+  }));
+})();
+
+// Helper: everything the app stores for a customer, by label, with the profile image resolved to a URL (null if not found).
+// Schema keys may contain characters GraphQL aliases can't, so fields are aliased by position.
+async function collectCustomerData(customer_id) {
+  const fields = CUSTOMER_DATA_METAFIELDS.map(({ namespace, key }, index) => `
+        field_${index}: metafield(namespace: "${namespace}", key: "${key}") {
+          id
+          type
+          value
+          updatedAt
+          reference {
+            ... on MediaImage {
+              id
+              image {
+                url
+              }
+            }
+          }
+        }`).join('');
+
+  const query = `
+    query customerAppData($id: ID!) {
+      customer(id: $id) {
+        id${fields}
       }
     }
+  `;
 
-    res.json({ success: true, wishlist });
-  } catch (err) {
-    console.error('❌ ERROR attaching handles to wishlist:', err.response?.data || err.message);
-    res.status(500).json({ success: false, error: err.response?.data || err.message });
+  const data = await shopify.graphql(query, { id: `gid://shopify/Customer/${customer_id}` });
+  if (!data?.customer) return null;
+
+  const customer = {};
+  CUSTOMER_DATA_METAFIELDS.forEach(({ label }, index) => {
+    customer[label] = data.customer[`field_${index}`] || null;
+  });
+  return customer;
+}
+
+// customers/data_request - export everything the app stores for the customer.
+// Privacy webhooks still arrive after an uninstall; then only app-side data can be exported.
+webhooks.on('customers/data_request', async (payload, { shop, webhookId }) => {
+  const customer_id = String(payload.customer?.id);
+  const requestId = payload.data_request?.id || webhookId;
+  const installed = Boolean(shops.current().shopify);
+
+  const customer = installed ? await collectCustomerData(customer_id) : null;
+  const metafields = {};
+  for (const { namespace, key, label } of CUSTOMER_DATA_METAFIELDS) {
+    const mf = customer?.[label];
+    if (!mf) continue;
+    const isWishlist = namespace === wishlists.WISHLIST_NAMESPACE && key === wishlists.WISHLIST_KEY;
+    metafields[label] = {
+      type: mf.type,
+      value: isWishlist ? wishlists.parseWishlistDocument(mf.value) : mf.type === 'json' ? JSON.parse(mf.value) : mf.value,
+      updated_at: mf.updatedAt,
+      ...(mf.reference?.image ? { url: mf.reference.image.url } : {})
+    };
   }
+
+  const file = await compliance.saveExport(shops.current().shop, requestId, {
+    generated_at: new Date().toISOString(),
+    shop: shops.current().shop,
+    data_request_id: requestId,
+    customer: { id: customer_id, email: payload.customer?.email || null, phone: payload.customer?.phone || null },
+    found: Boolean(customer),
+    shop_installed: installed,
+    metafields,
+    audit_log: await auditLog.query({ shop: shops.current().shop, customerId: customer_id, limit: 1000 })
+  });
+
+  await compliance.record({
+    topic: 'customers/data_request',
+    shop,
+    customer_id,
+    data_request_id: requestId,
+    webhook_id: webhookId,
+    shop_installed: installed,
+    fields: Object.keys(metafields),
+    export_file: file
+  });
+  console.log(`📦 Data request ${requestId} for customer ${customer_id} exported to ${file}${installed ? '' : ' (app not installed, app-side data only)'}`);
+});
+
+// customers/redact - delete the customer's app metafields, uploaded profile image, audit entries and report rows.
+// After an uninstall Shopify can't be called, but the app-side data is still purged.
+webhooks.on('customers/redact', async (payload, { shop, webhookId }) => {
+  const customer_id = String(payload.customer?.id);
+  const installed = Boolean(shops.current().shopify);
+  const customer = installed ? await collectCustomerData(customer_id) : null;
+
+  // The profile image and any thumbnails made by avatar processing are separate files
+  const fileIds = profileImages.profileImageFileIds(customer?.profile_image, customer?.profile_image_variants);
+  const deletedFiles = await profileImages.deleteFiles(shopify, fileIds);
+
+  const present = CUSTOMER_DATA_METAFIELDS.filter(({ label }) => customer?.[label]);
+  for (const namespace of new Set(present.map(entry => entry.namespace))) {
+    await deleteCustomerMetafields(customer_id, present.filter(entry => entry.namespace === namespace).map(entry => entry.key), namespace);
+  }
+  const presentKeys = present.map(entry => entry.label);
+  const deletedAuditEntries = await auditLog.deleteCustomer(customer_id);
+  const deletedReportRows = await reportStore().deleteCustomer(customer_id);
+
+  await compliance.record({
+    topic: 'customers/redact',
+    shop,
+    customer_id,
+    webhook_id: webhookId,
+    shop_installed: installed,
+    deleted_metafields: presentKeys,
+    deleted_files: deletedFiles,
+    deleted_audit_entries: deletedAuditEntries,
+    deleted_report_rows: deletedReportRows
+  });
+  console.log(`🧹 Redacted customer ${customer_id}: ${presentKeys.length} metafield(s), ${deletedFiles.length} file(s), ${deletedAuditEntries} audit entries${installed ? '' : ' (app not installed, app-side data only)'}`);
+});
+
+// shop/redact - purge app-side data (data exports, audit log, guest wishlists, reports) held for the shop. Sent after uninstall, so Shopify isn't called.
+webhooks.on('shop/redact', async (payload, { shop, webhookId }) => {
+  const shopDomain = parseShopDomain(payload.shop_domain) || shops.current().shop;
+  const removedExports = await compliance.purgeShop(shopDomain);
+  const removedAuditEntries = await auditLog.purge(shopDomain);
+  const removedGuestWishlists = await guestWishlistStores(shopDomain).purge();
+  const removedReports = await reportStores(shopDomain).purge();
+
+  await compliance.record({
+    topic: 'shop/redact',
+    shop: shopDomain,
+    webhook_id: webhookId,
+    removed_exports: removedExports,
+    removed_audit_entries: removedAuditEntries,
+    removed_guest_wishlists: removedGuestWishlists,
+    removed_reports: removedReports
+  });
+  console.log(`🧹 Redacted shop ${shopDomain}: removed ${removedExports} data export(s), ${removedAuditEntries} audit entries, ${removedGuestWishlists} guest wishlist(s), ${removedReports} report(s)`);
 });
 
 // ============================================
@@ -1171,8 +2341,14 @@ app.post('/wishlist/attach-handles', async (req, res) => {
 // ============================================
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`🏪 Connected to Shopify store: ${SHOP_NAME}`);
-  console.log(`✅ CORS enabled for Shopify store`);
+  if (shops.defaultShop) console.log(`🏪 Connected to Shopify store: ${shops.defaultShop}`);
+  if (shops.defaultShop && !process.env.STOREFRONT_URL) {
+    shops.resolveStorefrontUrl()
+      .then(url => console.log(`🌐 Storefront URL for ${shops.defaultShop}: ${url}`))
+      .catch(err => console.warn(`⚠️  WARNING: could not look up the storefront domain of ${shops.defaultShop} (${err.message}) - set STOREFRONT_URL or a custom-domain storefront will be blocked by CORS`));
+  }
+  if (oauth) console.log(`🔑 OAuth installs enabled, redirect URI ${oauth.redirectUri}`);
+  console.log(`✅ CORS enabled for installed Shopify stores`);
 });
 
 // Export for Vercel